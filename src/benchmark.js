@@ -0,0 +1,52 @@
+import { performance } from 'node:perf_hooks';
+import JsonHealer from './index.js';
+
+// Heals truncated LLM batch output (a JSON array cut off mid-string) at growing sizes.
+// Time per MB should stay flat as the input grows: healing is linear in the input length.
+// Usage: node src/benchmark.js [sizes in MB, default 1 5 20]
+
+const sizes = process.argv.slice(2).map(Number).filter(size => size > 0);
+
+function batchOutput(megabytes) {
+  const items = [];
+  let length = 0;
+  for (let i = 0; length < megabytes * 1e6; i++) {
+    const item = `{"id": ${i}, "name": "Item ${i}", "active": true, "tags": ["a", "b"], "note": "line ${i}"},\n`;
+    items.push(item);
+    length += item.length;
+  }
+  return '[' + items.join('') + '{"id": -1, "name": "trunc';
+}
+
+function time(fn) {
+  const start = performance.now();
+  const result = fn();
+  return { result, elapsed: performance.now() - start };
+}
+
+function report(megabytes, label, elapsed) {
+  console.log(
+    `  ${(megabytes + 'MB').padEnd(8)} ${label.padEnd(12)} ${(elapsed.toFixed(0) + 'ms').padEnd(11)} ` +
+    `${(elapsed / megabytes).toFixed(1)}ms`
+  );
+}
+
+const engines = ['strategies', 'parser'];
+
+// Warm up the JIT so the first size is not penalized
+const warmup = batchOutput(0.5);
+engines.forEach(engine => JsonHealer.heal(warmup, { engine }));
+
+console.log('  Size     Engine       Time        Per MB');
+for (const megabytes of sizes.length ? sizes : [1, 5, 20]) {
+  const input = batchOutput(megabytes);
+  let healed;
+  for (const engine of engines) {
+    const { result, elapsed } = time(() => JsonHealer.heal(input, { engine }));
+    if (!JsonHealer.isValidJSON(result)) throw new Error(`${engine} output is not valid JSON`);
+    healed = result;
+    report(megabytes, engine, elapsed);
+  }
+  // Baseline: parsing the healed (valid) document once
+  report(megabytes, 'JSON.parse', time(() => JSON.parse(healed)).elapsed);
+}
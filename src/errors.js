@@ -0,0 +1,167 @@
+/**
+ * HealError - thrown by parseOrThrow() when input cannot be healed into valid JSON
+ * Carries enough detail to explain the failure (e.g. in a corrective LLM prompt)
+ */
+export class HealError extends Error {
+  /**
+   * @param {string} message
+   * @param {object} [details]
+   * @param {string} [details.input] - Original input
+   * @param {string} [details.candidate] - Best-effort healed string that still failed
+   * @param {string[]} [details.strategiesAttempted] - Strategies run, in order
+   * @param {Array<{strategy: string, error: Error}>} [details.strategyErrors] - Strategies that threw
+   * @param {boolean} [details.fallbackUsed] - Whether aggressive repair produced the candidate
+   * @param {number} [details.confidence] - Repair confidence, when rejected by minConfidence
+   * @param {Error} [details.cause] - Native JSON.parse error
+   */
+  constructor(message, details = {}) {
+    super(message, details.cause ? { cause: details.cause } : undefined);
+    // Engines without the cause option (Node.js < 16.9) ignore it
+    if (details.cause && this.cause === undefined) this.cause = details.cause;
+    this.name = 'HealError';
+    this.input = details.input;
+    this.candidate = details.candidate;
+    this.strategiesAttempted = details.strategiesAttempted || [];
+    this.strategyErrors = details.strategyErrors || [];
+    this.fallbackUsed = details.fallbackUsed || false;
+    this.confidence = details.confidence;
+
+    // Location of the native JSON.parse failure within `candidate`
+    const location = HealError.locateParseError(details.cause, this.candidate);
+    this.position = location.position;
+    this.line = location.line;
+    this.column = location.column;
+  }
+
+  /**
+   * Find where JSON.parse failed in the text it was given
+   * Engines word their messages differently (V8 often gives no position at all), so the text is
+   * scanned here instead; the error only says whether there was a failure
+   * @param {Error} [error]
+   * @param {string} [text] - The string that was parsed
+   * @returns {{position: number|null, line: number|null, column: number|null}}
+   */
+  static locateParseError(error, text) {
+    const location = { position: null, line: null, column: null };
+    if (!error || typeof text !== 'string') return location;
+
+    location.position = HealError._syntaxErrorOffset(text);
+    if (location.position !== null) {
+      const before = text.slice(0, location.position);
+      location.line = before.split('\n').length;
+      location.column = location.position - before.lastIndexOf('\n');
+    }
+
+    return location;
+  }
+
+  /**
+   * Offset of the first character that cannot continue a JSON text (its length if the text ends
+   * too soon), or null if it is valid; the same offsets V8 reports when it reports one
+   * @private
+   */
+  static _syntaxErrorOffset(text) {
+    const open = [];
+    // 'value', 'first' (first item or the closer), 'key', 'colon', 'comma' (or the closer), 'end'
+    let expect = 'value';
+    let i = 0;
+
+    for (;;) {
+      while (i < text.length && ' \t\n\r'.includes(text[i])) i++;
+      if (i === text.length) return expect === 'end' ? null : i;
+      const char = text[i];
+      const closer = open.length ? (open[open.length - 1] === '{' ? '}' : ']') : null;
+
+      if (expect === 'end') return i;
+      if (expect === 'colon') {
+        if (char !== ':') return i;
+        expect = 'value';
+        i++;
+      } else if ((expect === 'comma' || expect === 'first') && char === closer) {
+        open.pop();
+        expect = open.length ? 'comma' : 'end';
+        i++;
+      } else if (expect === 'comma') {
+        if (char !== ',') return i;
+        expect = closer === '}' ? 'key' : 'value';
+        i++;
+      } else if (expect === 'key' || (expect === 'first' && closer === '}')) {
+        if (char !== '"') return i;
+        const { end, error } = HealError._scanString(text, i);
+        if (error !== undefined) return error;
+        expect = 'colon';
+        i = end;
+      } else if (char === '{' || char === '[') {
+        open.push(char);
+        expect = 'first';
+        i++;
+      } else {
+        const { end, error } = char === '"' ? HealError._scanString(text, i) : HealError._scanScalar(text, i);
+        if (error !== undefined) return error;
+        expect = open.length ? 'comma' : 'end';
+        i = end;
+      }
+    }
+  }
+
+  /**
+   * Scan the string starting at text[i]; gives the offset after it, or where it went wrong
+   * @private
+   */
+  static _scanString(text, i) {
+    for (let j = i + 1; j < text.length; j++) {
+      const char = text[j];
+      if (char === '"') return { end: j + 1 };
+      if (char < ' ') return { error: j };
+      if (char !== '\\') continue;
+      j++;
+      if (text[j] === 'u') {
+        for (let k = j + 1; k <= j + 4; k++) {
+          if (!/[\da-fA-F]/.test(text[k] || '')) return { error: Math.min(k, text.length) };
+        }
+        j += 4;
+      } else if (j < text.length && !'"\\/bfnrt'.includes(text[j])) {
+        return { error: j };
+      }
+    }
+    return { error: text.length };
+  }
+
+  /**
+   * Scan the number or literal starting at text[i]; gives the offset after it, or where it went wrong
+   * @private
+   */
+  static _scanScalar(text, i) {
+    for (const literal of ['true', 'false', 'null']) {
+      if (text[i] !== literal[0]) continue;
+      for (let k = 1; k < literal.length; k++) {
+        if (text[i + k] !== literal[k]) return { error: i + k };
+      }
+      return { end: i + literal.length };
+    }
+
+    // -?(0|[1-9]\d*)(\.\d+)?([eE][+-]?\d+)?, failing at the first character that breaks it
+    const digits = (from) => {
+      let k = from;
+      while (k < text.length && text[k] >= '0' && text[k] <= '9') k++;
+      return k;
+    };
+    let k = text[i] === '-' ? i + 1 : i;
+    if (!(text[k] >= '0' && text[k] <= '9')) return { error: k };
+    k = text[k] === '0' ? k + 1 : digits(k);
+    if (text[k] === '.') {
+      const end = digits(k + 1);
+      if (end === k + 1) return { error: end };
+      k = end;
+    }
+    if (text[k] === 'e' || text[k] === 'E') {
+      const from = text[k + 1] === '+' || text[k + 1] === '-' ? k + 2 : k + 1;
+      const end = digits(from);
+      if (end === from) return { error: end };
+      k = end;
+    }
+    return { end: k };
+  }
+}
+
+export default HealError;
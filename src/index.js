@@ -1,85 +1,918 @@
+import { HealError } from './errors.js';
+import { JsLiteral } from './javascript.js';
+import { Json5 } from './json5.js';
+import { createNdjsonTransform, createNdjsonTransformStream, NdjsonHealer } from './ndjson.js';
+import { RepairingParser } from './parser.js';
+import { PythonRepr } from './python.js';
+import { HealSourceMap } from './source-map.js';
+import { HealingStream } from './stream.js';
+import { TextPatch } from './text-patch.js';
+import { Tokenizer } from './tokenizer.js';
+
 /**
  * JsonHealer - Robust JSON repair utility for malformed JSON strings
  * Handles common issues from LLMs, copy-paste errors, and format conversions
  */
 export class JsonHealer {
   // Strategy order: extraction → syntax cleanup → structural fixes
-  static strategies = [
+  static builtinStrategies = Object.freeze([
     'extractFromMarkdown',
     'extractFromMixedText',
     'removeComments',
+    'normalizeSmartQuotes',
+    'escapeInnerQuotes',
     'fixPythonLiterals',
     'fixSingleQuotes',
     'escapeControlCharacters',
+    'fixInvalidEscapes',
     'fixUnquotedKeys',
     'fixMissingColons',
+    'quoteBareValues',
     'fixTrailingCommas',
     'fixLeadingCommas',
     'fixMultipleCommas',
+    'fixMismatchedClosers',
+    'completeTruncatedValues',
     'closeBrokenStrings',
     'fixMissingCommas',
     'balanceBrackets',
-  ];
+  ]);
+
+  // Strategies each input mode (options.mode) adds to the pipeline, in order. They run right after
+  // extraction and comment removal, so the rest of the pipeline sees the converted text
+  static modes = Object.freeze({
+    json5: Object.freeze([
+      'normalizeJson5Whitespace',
+      'convertJson5Strings',
+      'convertJson5Identifiers',
+      'convertJson5Numbers',
+    ]),
+    python: Object.freeze(['convertPythonRepr']),
+    javascript: Object.freeze(['convertJsLiterals']),
+  });
+
+  // Human-readable summary of what each built-in strategy (or parser engine repair) changes, used in reports
+  static strategyDescriptions = {
+    extractFromMarkdown: 'Extracted JSON from markdown code block',
+    extractFromMixedText: 'Extracted JSON from surrounding text',
+    selectCandidate: 'Selected the best of several JSON documents in the text',
+    removeComments: 'Removed comment',
+    normalizeSmartQuotes: 'Converted typographic quotes to straight quotes',
+    escapeInnerQuotes: 'Escaped quote inside string',
+    fixPythonLiterals: 'Converted non-JSON literal',
+    fixSingleQuotes: 'Converted single quotes to double quotes',
+    escapeControlCharacters: 'Escaped control character in string',
+    fixInvalidEscapes: 'Rewrote invalid escape sequence in string',
+    fixUnquotedKeys: 'Quoted object key',
+    fixMissingColons: 'Inserted missing colon',
+    fixTrailingCommas: 'Removed trailing comma',
+    fixLeadingCommas: 'Removed leading comma',
+    fixMultipleCommas: 'Collapsed repeated commas',
+    fixMismatchedClosers: 'Matched closing bracket to its opener',
+    completeTruncatedValues: 'Completed or dropped a value cut off by the end of the input',
+    closeBrokenStrings: 'Closed unterminated string',
+    normalizeJson5Whitespace: 'Replaced whitespace JSON does not allow',
+    convertJson5Strings: 'Converted JSON5 string',
+    convertJson5Identifiers: 'Quoted JSON5 identifier key',
+    convertJson5Numbers: 'Converted JSON5 number',
+    convertPythonRepr: 'Converted Python repr syntax',
+    convertJsLiterals: 'Converted JavaScript literal syntax',
+    fixMissingCommas: 'Inserted missing comma',
+    balanceBrackets: 'Balanced brackets',
+    aggressiveRepair: 'Reconstructed document during aggressive repair',
+    insertNullValue: 'Inserted null for missing value',
+    dropIncompleteMember: 'Dropped object member without a value',
+    dropTruncatedElement: 'Dropped a member or element cut off by the end of the input',
+    removeStrayTokens: 'Removed stray token',
+    normalizeNumbers: 'Normalized number format',
+    quoteBareValues: 'Quoted bare word value',
+  };
+
+  // Default risk of each strategy's repairs:
+  //   cosmetic      - same data, different syntax (comments, quotes, trailing commas)
+  //   structural    - inserted syntax that decides the document's shape
+  //   data-altering - values were guessed, dropped or replaced
+  // Strategies not listed here are treated as structural
+  static strategyRisks = {
+    extractFromMarkdown: 'cosmetic',
+    extractFromMixedText: 'cosmetic',
+    selectCandidate: 'cosmetic',
+    removeComments: 'cosmetic',
+    normalizeSmartQuotes: 'cosmetic',
+    escapeInnerQuotes: 'structural',
+    fixPythonLiterals: 'cosmetic',
+    fixSingleQuotes: 'cosmetic',
+    escapeControlCharacters: 'cosmetic',
+    fixInvalidEscapes: 'cosmetic',
+    fixUnquotedKeys: 'cosmetic',
+    fixMissingColons: 'structural',
+    fixTrailingCommas: 'cosmetic',
+    fixLeadingCommas: 'cosmetic',
+    fixMultipleCommas: 'structural',
+    fixMismatchedClosers: 'structural',
+    completeTruncatedValues: 'data-altering',
+    closeBrokenStrings: 'data-altering',
+    normalizeJson5Whitespace: 'cosmetic',
+    convertJson5Strings: 'cosmetic',
+    convertJson5Identifiers: 'cosmetic',
+    convertJson5Numbers: 'cosmetic',
+    convertPythonRepr: 'cosmetic',
+    convertJsLiterals: 'cosmetic',
+    fixMissingCommas: 'structural',
+    balanceBrackets: 'structural',
+    aggressiveRepair: 'structural',
+    insertNullValue: 'data-altering',
+    dropIncompleteMember: 'data-altering',
+    dropTruncatedElement: 'data-altering',
+    removeStrayTokens: 'structural',
+    normalizeNumbers: 'cosmetic',
+    quoteBareValues: 'structural',
+  };
+
+  // Confidence multiplier applied once per strategy at each risk level
+  static riskWeights = {
+    cosmetic: 1,
+    structural: 0.9,
+    'data-altering': 0.7,
+  };
+
+  // Healer behind the static API (JsonHealer.heal(), JsonHealer.registerStrategy(), ...)
+  static defaultHealer = new JsonHealer();
+
+  /**
+   * Create an isolated healer with its own strategy pipeline
+   * @param {object} [config]
+   * @param {Array<string|{name: string, strategy: Function}>} [config.strategies] - Pipeline in order; names of
+   *   built-in strategies or custom { name, strategy } entries (defaults to all built-in strategies)
+   * @param {object} [config.options] - Default options for every heal()/parse() call on this healer
+   */
+  constructor({ strategies, options } = {}) {
+    this.strategies = [];
+    this.customStrategies = {};
+    this.options = { ...options };
+
+    for (const entry of strategies || JsonHealer.builtinStrategies) {
+      if (typeof entry === 'string') {
+        this.strategies.push(entry);
+      } else {
+        this.registerStrategy(entry.name, entry.strategy);
+      }
+    }
+  }
+
+  /**
+   * Create an isolated healer (same as new JsonHealer(config))
+   * @param {object} [config] - See constructor
+   * @returns {JsonHealer}
+   */
+  static create(config) {
+    return new this(config);
+  }
+
+  // ==================== INSTANCE API ====================
 
   /**
    * Main healing function - applies strategies until JSON is valid
    * @param {string} input - Malformed JSON string
    * @param {object} [options] - Configuration options
+   * @param {'strategies'|'parser'} [options.engine='strategies'] - Repair with the strategy pipeline or
+   *   the single-pass repairing parser (which ignores strategy selection options)
    * @param {boolean} [options.aggressive=false] - Use aggressive repair as fallback
+   * @param {number} [options.minConfidence] - Return the input unchanged if the repair confidence is lower
+   * @param {string[]} [options.only] - Run only these strategies (pipeline order is kept)
+   * @param {string[]} [options.skip] - Do not run these strategies
+   * @param {Array<Function|{name: string, strategy: Function, priority?: number}>} [options.extraStrategies] -
+   *   Strategies added for this call only; without a priority they run last
+   * @param {'complete'|'drop-incomplete'|'drop-incomplete-strings'} [options.truncation='complete'] - Close
+   *   what the end of a cut-off document left open, drop it, or drop only a cut-off string
+   * @param {'keep'|'replace'|'remove'} [options.invalidEscapes='keep'] - What fixInvalidEscapes does with
+   *   escapes that mean nothing (\q, a cut-off \u12) and unpaired surrogates: keep them as literal text,
+   *   replace them with U+FFFD, or remove them
+   * @param {'best'|'first'|Function} [options.selectCandidate='best'] - Which document to heal when the text
+   *   holds several: the highest-ranked, the first (as extraction finds it), or the one a callback picks
+   *   from the ranked candidates
+   * @param {object} [options.schema] - Expected shape (type, required, properties, items) used in ranking
+   * @param {'json5'|'python'|'javascript'} [options.mode] - Input dialect to convert in full (see JsonHealer.modes)
+   * @param {boolean} [options.omitUndefined=false] - In javascript mode, drop properties whose value is
+   *   undefined, a function or a symbol, as JSON.stringify does, instead of writing null
    * @returns {string} - Healed JSON string or original if unrepairable
    */
-  static heal(input, options = {}) {
-    if (typeof input !== 'string' || !input.trim()) return input;
-    if (this.isValidJSON(input)) return input;
+  heal(input, options = {}) {
+    return this._healRun(input, { ...this.options, ...options }).output;
+  }
+
+  /**
+   * Run the engine for heal(); below minConfidence the output is the input, unchanged
+   * @private
+   */
+  _healRun(input, options, record = false) {
+    const checkConfidence = typeof options.minConfidence === 'number';
+    const run = this._run(input, options, record || checkConfidence);
+    if (checkConfidence && this._buildReport(input, run).confidence < options.minConfidence) {
+      return { ...run, output: input };
+    }
+    return run;
+  }
+
+  /**
+   * Heal and describe every change that was made along the way
+   * @param {string} input - Malformed JSON string
+   * @param {object} [options] - Healing options (same as heal())
+   * @returns {{output: string, valid: boolean, confidence: number, repairs: Array<{strategy: string, description: string, risk: string, originalRange: [number, number], replacement: string}>, fallbackUsed: boolean, sourceMap: HealSourceMap}}
+   */
+  healWithReport(input, options = {}) {
+    return this._buildReport(input, this._run(input, { ...this.options, ...options }, true));
+  }
+
+  /**
+   * Build the healWithReport() result from a recorded pipeline run
+   * @private
+   */
+  _buildReport(input, run) {
+    const Healer = this.constructor;
+    const layers = run.stages.map(stage => stage.hunks || Healer._diff(stage.before, stage.after));
+    const valid = Healer.isValidJSON(run.output);
+    const repairs = Healer._buildRepairs(run.stages, layers);
+    return {
+      output: run.output,
+      valid,
+      confidence: Healer._scoreConfidence(repairs, valid, run.fallbackUsed),
+      repairs,
+      fallbackUsed: run.fallbackUsed,
+      sourceMap: new HealSourceMap(input, run.output, layers),
+    };
+  }
+
+  /**
+   * Parse with healing - returns parsed object or null
+   * @param {string} input - JSON string to parse
+   * @param {object} [options] - Healing options (same as heal(), including minConfidence)
+   * @param {boolean} [options.throwOnFailure=false] - Throw a HealError instead of returning null
+   * @param {boolean} [options.partialPaths=false] - Return { value, partialPaths } listing the values a
+   *   truncated input left unfinished
+   * @returns {any} - Parsed object or null if unparseable
+   */
+  parse(input, options = {}) {
+    const merged = { ...this.options, ...options };
+    if (merged.throwOnFailure) {
+      return this.parseOrThrow(input, options);
+    }
+    const run = this._healRun(input, merged, merged.partialPaths);
+    let value;
+    try {
+      value = JSON.parse(run.output);
+    } catch {
+      value = null;
+    }
+    return merged.partialPaths ? this._withPartialPaths(this._parsedText(input, run, merged), value) : value;
+  }
+
+  /**
+   * Parse with healing - throws a HealError explaining why healing failed
+   * @param {string} input - JSON string to parse
+   * @param {object} [options] - Healing options (same as heal(), including minConfidence and partialPaths)
+   * @returns {any} - Parsed value (may legitimately be null)
+   * @throws {HealError}
+   */
+  parseOrThrow(input, options = {}) {
+    options = { ...this.options, ...options };
+    if (typeof input !== 'string') {
+      throw new HealError(`Input must be a string, got ${input === null ? 'null' : typeof input}`, { input });
+    }
+
+    const checkConfidence = typeof options.minConfidence === 'number';
+    const run = this._run(input, options, checkConfidence || options.partialPaths);
+    const details = {
+      input,
+      candidate: run.output,
+      strategiesAttempted: run.attempted,
+      strategyErrors: run.errors,
+      fallbackUsed: run.fallbackUsed,
+    };
+
+    let value;
+    try {
+      value = JSON.parse(run.output);
+    } catch (e) {
+      throw new HealError(`Unable to heal JSON: ${e.message}`, { ...details, cause: e });
+    }
+
+    if (checkConfidence) {
+      const { confidence } = this._buildReport(input, run);
+      if (confidence < options.minConfidence) {
+        throw new HealError(
+          `Repair confidence ${confidence} is below minConfidence ${options.minConfidence}`,
+          { ...details, confidence },
+        );
+      }
+    }
+
+    return options.partialPaths ? this._withPartialPaths(this._parsedText(input, run, options), value) : value;
+  }
+
+  /**
+   * The text a recorded run went on to repair: the input once the candidate is cut out, the
+   * document extracted from prose and the text prepared (comments removed, mode converted, quotes
+   * normalized and escaped), before any structural repair
+   * @private
+   */
+  _parsedText(input, run, options) {
+    const preparing = ['selectCandidate', ...JsonHealer._preModeStrategies,
+      ...this.constructor._modeStrategies(options.mode), ...JsonHealer._parserPrepasses];
+    let text = input;
+    for (const stage of run.stages) {
+      if (!preparing.includes(stage.strategy)) break;
+      text = stage.after;
+    }
+    return text;
+  }
+
+  /**
+   * Pair a parsed value with the paths in it that the text left unfinished
+   * The text is replayed through a HealingStream, whose open state at the end is exactly
+   * what truncation cut off; only paths present in the healed value are reported
+   * @private
+   */
+  _withPartialPaths(text, value) {
+    const entries = typeof text === 'string' && value !== null && typeof value === 'object'
+      ? new HealingStream().push(text)._partialEntries()
+      : [];
+    const partialPaths = [];
+
+    for (const { segments, kind } of entries) {
+      if (!JsonHealer._hasPath(value, segments)) continue;
+      // A key the input never gave a value for only exists because healing made one up;
+      // a cut-off word (`tru`, `1e`) was completed from what the input gave, like any cut-off value
+      const label = kind === 'key' ? 'synthesized' : kind === 'word' ? 'value' : kind;
+      partialPaths.push({ path: HealSourceMap.formatPath(segments), kind: label });
+    }
+    return { value, partialPaths };
+  }
+
+  /**
+   * Find every JSON document in mixed text (prose, markdown code fences) and heal each one
+   * extractFromMarkdown and extractFromMixedText keep only the first; this keeps them all
+   * @param {string} input
+   * @param {object} [options] - Healing options for each document (same as heal())
+   * @returns {Array<{output: string, range: [number, number], language: string|null}>} - Documents in input
+   *   order: the healed text, its [start, end) offsets in input, and the language of the code fence around
+   *   it ('' for a fence without one, null outside fences)
+   */
+  extractAll(input, options = {}) {
+    if (typeof input !== 'string') return [];
+    options = { ...this.options, ...options };
+    return this._extractRuns(input, options).map(({ run, range, language }) => ({ output: run.output, range, language }));
+  }
+
+  /**
+   * Parse every JSON document in mixed text - see extractAll()
+   * @param {string} input
+   * @param {object} [options] - Healing options for each document (same as heal())
+   * @returns {Array<{value: any, range: [number, number], language: string|null}>}
+   */
+  parseAll(input, options = {}) {
+    return this.extractAll(input, options).map(({ output, range, language }) => ({
+      value: JSON.parse(output),
+      range,
+      language,
+    }));
+  }
+
+  /**
+   * Heal every document in the input, keeping each one's run - see extractAll()
+   * @private
+   */
+  _extractRuns(input, options, record = false) {
+    const documents = [];
+    for (const region of JsonHealer._fenceRegions(input)) {
+      this._extractDocuments(input, region, options, documents, record);
+    }
+    return documents;
+  }
+
+  /**
+   * Heal each document that starts in one region of the input
+   * A bracket whose span does not heal into valid JSON is prose ("{name}", "[see below"); the
+   * search goes on right after it. A document the region ends inside of is healed as truncated;
+   * if that fails, the search stops, since every later unclosed bracket would heal the same tail again
+   * @private
+   */
+  _extractDocuments(input, { start, end, language }, options, documents, record) {
+    const Healer = this.constructor;
+    const text = input.slice(0, end);
+    let position = start;
+
+    while (position < end) {
+      const open = Healer._nextOpener(text, position);
+      if (open === -1) return;
+
+      const close = Healer._findMatchingBracket(text, open);
+      const documentEnd = close === -1 ? open + text.slice(open).trimEnd().length : close + 1;
+      const source = text.slice(open, documentEnd);
+      const run = this._healRun(source, options, record);
+
+      if (Healer.isValidJSON(run.output) && !Healer._isBracketedProse(source)) {
+        documents.push({ run, range: [open, documentEnd], language });
+        position = documentEnd;
+      } else if (close === -1) {
+        return;
+      } else {
+        position = open + 1;
+      }
+    }
+  }
+
+  /**
+   * Aggressive repair - applies all strategies and attempts reconstruction
+   * @param {string} input
+   * @param {object} [options] - Strategy selection (only, skip, extraStrategies) as in heal()
+   */
+  aggressiveRepair(input, options = {}) {
+    const merged = { ...this.options, ...options };
+    this._checkStrategyNames(merged);
+    return Tokenizer.shareScans(() => this._aggressiveRepair(input, merged, null));
+  }
+
+  /**
+   * Apply all strategies (legacy compatibility)
+   */
+  applyAllStrategies(input) {
+    return this.aggressiveRepair(input);
+  }
+
+  /**
+   * Node.js Transform that heals newline-delimited JSON line by line
+   * @param {object} [options] - Healing options (same as heal()), plus:
+   * @param {'value'|'line'} [options.output='value'] - Emit parsed values (object mode), or healed lines as text
+   * @param {Function} [options.onError] - Called with { lineNumber, input, error } for each line that
+   *   cannot be healed, or heals to null in 'value' mode; the line is skipped and also reported
+   *   through the 'lineError' event
+   * @returns {import('node:stream').Transform}
+   */
+  ndjsonTransform(options = {}) {
+    return createNdjsonTransform(this, options);
+  }
+
+  /**
+   * Web Streams TransformStream that heals newline-delimited JSON line by line
+   * @param {object} [options] - Same as ndjsonTransform(); failures are reported through onError only
+   * @returns {TransformStream}
+   */
+  ndjsonTransformStream(options = {}) {
+    return createNdjsonTransformStream(this, options);
+  }
+
+  /**
+   * Register a custom healing strategy on this healer
+   * @param {string} name - Strategy name
+   * @param {Function} strategy - Strategy function (receives input, returns output)
+   * @param {number} [priority] - Optional index position (lower = runs earlier)
+   */
+  registerStrategy(name, strategy, priority) {
+    if (typeof strategy !== 'function') {
+      throw new Error('Strategy must be a function');
+    }
+
+    this.customStrategies[name] = strategy;
+
+    // Remove existing if present
+    const existingIdx = this.strategies.indexOf(name);
+    if (existingIdx !== -1) {
+      this.strategies.splice(existingIdx, 1);
+    }
+
+    if (typeof priority === 'number' && priority >= 0) {
+      this.strategies.splice(Math.min(priority, this.strategies.length), 0, name);
+    } else {
+      this.strategies.push(name);
+    }
+  }
+
+  /**
+   * Remove a strategy from this healer
+   * @param {string} name - Strategy name to remove
+   */
+  removeStrategy(name) {
+    const idx = this.strategies.indexOf(name);
+    if (idx !== -1) {
+      this.strategies.splice(idx, 1);
+    }
+    delete this.customStrategies[name];
+  }
+
+  /**
+   * Look up a strategy function by name: custom strategies first, then built-ins
+   * @param {string} name
+   * @returns {Function|undefined}
+   */
+  getStrategy(name) {
+    if (Object.prototype.hasOwnProperty.call(this.customStrategies, name)) {
+      return this.customStrategies[name];
+    }
+    const builtin = this.constructor[name];
+    return typeof builtin === 'function' ? builtin : undefined;
+  }
+
+  /**
+   * Resolve the strategies to run for one call, applying only/skip/extraStrategies
+   * @private
+   */
+  _resolvePipeline(options) {
+    const pipeline = [];
+    for (const name of this.strategies) {
+      if (!this._isExcluded(name, options)) {
+        pipeline.push({ name, strategy: this.getStrategy(name) });
+      }
+    }
+
+    // Mode strategies go after extraction and comment removal; only `skip` rules them out
+    let at = 0;
+    while (at < pipeline.length && JsonHealer._preModeStrategies.includes(pipeline[at].name)) at++;
+    const modeEntries = this.constructor._modeStrategies(options.mode)
+      .filter(name => !(Array.isArray(options.skip) && options.skip.includes(name)))
+      .map(name => ({ name, strategy: this.getStrategy(name) }));
+    pipeline.splice(at, 0, ...modeEntries);
+
+    (options.extraStrategies || []).forEach((extra, index) => {
+      const entry = typeof extra === 'function'
+        ? { name: extra.name || `extraStrategy${index}`, strategy: extra }
+        : { name: extra.name, strategy: extra.strategy };
+      if (typeof extra.priority === 'number' && extra.priority >= 0) {
+        pipeline.splice(Math.min(extra.priority, pipeline.length), 0, entry);
+      } else {
+        pipeline.push(entry);
+      }
+    });
+
+    return pipeline;
+  }
+
+  /**
+   * Throw a TypeError for a name in only or skip that no strategy has: known names are this healer's
+   * pipeline and registered strategies, every mode's strategies, the strategies reports name, and
+   * the call's extraStrategies
+   * @private
+   */
+  _checkStrategyNames(options) {
+    const lists = ['only', 'skip'].filter(list => Array.isArray(options[list]));
+    if (!lists.length) return;
+
+    const Healer = this.constructor;
+    const extra = (options.extraStrategies || []).map((entry, index) =>
+      typeof entry === 'function' ? entry.name || `extraStrategy${index}` : entry.name);
+    const known = new Set([
+      ...this.strategies, ...Object.keys(this.customStrategies), ...Object.values(Healer.modes).flat(),
+      ...Object.keys(Healer.strategyDescriptions), ...extra,
+    ]);
+    for (const list of lists) {
+      const unknown = options[list].find(name => !known.has(name));
+      if (unknown !== undefined) {
+        throw new TypeError(`Unknown strategy ${JSON.stringify(unknown)} in ${list}; expected one of: ${[...known].join(', ')}`);
+      }
+    }
+  }
+
+  /**
+   * Whether only/skip rule a strategy out for this call
+   * @private
+   */
+  _isExcluded(name, options) {
+    return (Array.isArray(options.only) && !options.only.includes(name)) ||
+      (Array.isArray(options.skip) && options.skip.includes(name));
+  }
+
+  /**
+   * Run the engine selected by options.engine
+   * @private
+   */
+  _run(input, options, record = false) {
+    this.constructor._checkOptions(options); // Unknown modes, engines and policies throw before any work
+    this._checkStrategyNames(options);
+    // Ranking scans the input the same way extractFromMixedText does; sharing scans saves doing it twice
+    return Tokenizer.shareScans(() => {
+      const candidate = this._selectCandidate(input, options, record);
+      if (candidate) return this._runCandidate(input, candidate);
+      return options.engine === 'parser'
+        ? this._runParser(input, options)
+        : this._runPipeline(input, options, record);
+    });
+  }
+
+  /**
+   * The run that healed the selected candidate, with cutting it out of the input as its first stage
+   * @private
+   */
+  _runCandidate(input, { run, range: [start, end] }) {
+    const source = input.slice(start, end);
+    const hunks = [
+      { start: 0, end: start, outStart: 0, outEnd: 0, replacement: '' },
+      { start: end, end: input.length, outStart: end - start, outEnd: end - start, replacement: '' },
+    ].filter(hunk => hunk.start !== hunk.end);
+    run.stages.unshift({ strategy: 'selectCandidate', before: input, after: source, hunks });
+    run.attempted.unshift('selectCandidate');
+    return run;
+  }
 
+  /**
+   * Rank the documents in a text that may hold several and pick one (see options.selectCandidate)
+   * Returns null when the input should be healed as a whole: it holds no document, or the pick is
+   * the one extraction would find anyway. Candidates keep the run that healed them, recorded when
+   * record is set, so the chosen one is not healed again
+   * @private
+   */
+  _selectCandidate(input, options, record = false) {
+    const Healer = this.constructor;
+    const { selectCandidate = 'best', schema } = options;
+    if (selectCandidate === 'first' || typeof input !== 'string' || !Healer._mayHoldSeveralDocuments(input, options)) {
+      return null;
+    }
+
+    const runs = new Map();
+    const candidates = this._extractRuns(input, { ...options, selectCandidate: 'first' }, record).map(({ run, range, language }) => {
+      const candidate = { output: run.output, range, language, value: JSON.parse(run.output) };
+      runs.set(candidate, run);
+      return candidate;
+    });
+    if (!candidates.length) return null;
+    candidates.forEach((candidate, index) => {
+      candidate.score = Healer._scoreCandidate(candidate, index / (candidates.length - 1 || 1), schema);
+    });
+
+    // Best first; the sort is stable, so equal scores keep input order
+    const ranked = candidates.slice().sort((a, b) => b.score - a.score);
+    let chosen;
+    if (typeof selectCandidate === 'function') {
+      const pick = selectCandidate(ranked.slice());
+      chosen = typeof pick === 'number' ? ranked[pick] : ranked.find(candidate => candidate === pick);
+    }
+    chosen = chosen || ranked[0];
+    // Extraction would stop at bracketed prose ([note]) before the first candidate
+    const extractedFirst = chosen === candidates[0] && !Healer._hasBracketedProse(input.slice(0, chosen.range[0]));
+    return extractedFirst ? null : { range: chosen.range, run: runs.get(chosen) };
+  }
+
+  /**
+   * Run the repairing parser; its edits become a single stage with precomputed hunks
+   * @private
+   */
+  _runParser(input, options) {
+    const Healer = this.constructor;
+    const run = { output: input, stages: [], fallbackUsed: false, attempted: [], errors: [] };
+    if (typeof input !== 'string' || !input.trim() || Healer.isValidJSON(input)) {
+      return run;
+    }
+
+    let source = input;
+    const native = !options.mode || RepairingParser.modes.includes(options.mode);
+    // Strategies the parser has no counterpart for run first, in pipeline order. For a mode it does
+    // not convert itself, that is everything up to the mode strategies (extraction first, so prose
+    // is never converted). Only the ones that change the text are listed as attempted
+    const prepasses = native
+      ? JsonHealer._parserPrepasses
+      : [...JsonHealer._preModeStrategies, ...Healer._modeStrategies(options.mode), ...JsonHealer._parserPrepasses];
+    for (const { name, strategy } of this._resolvePipeline(options)) {
+      if (!prepasses.includes(name)) continue;
+      try {
+        const { result, hunks } = Healer._applyStrategy(strategy, source, options, true);
+        if (typeof result === 'string' && result !== source) {
+          run.attempted.push(name);
+          run.stages.push({ strategy: name, before: source, after: result, hunks });
+          source = result;
+        }
+      } catch (e) {
+        run.errors.push({ strategy: name, error: e });
+      }
+    }
+    run.output = source;
+    if (source !== input && Healer.isValidJSON(source)) return run;
+
+    run.attempted.push('parser');
+    try {
+      const mode = native ? options.mode : null;
+      const { output, edits } = new RepairingParser(source, { truncation: options.truncation, invalidEscapes: options.invalidEscapes, mode }).parse();
+      run.output = output;
+      run.stages.push({ strategy: 'parser', before: source, after: output, hunks: edits });
+    } catch (e) {
+      run.errors.push({ strategy: 'parser', error: e });
+    }
+    return run;
+  }
+
+  /**
+   * Run the strategy pipeline, optionally recording each change as a stage
+   * Also tracks which strategies ran and which of them threw
+   * @private
+   */
+  _runPipeline(input, options, record = false) {
+    const Healer = this.constructor;
+    const run = { output: input, stages: [], fallbackUsed: false, attempted: [], errors: [] };
+    if (typeof input !== 'string' || !input.trim() || Healer.isValidJSON(input)) {
+      return run;
+    }
+
+    const stages = record ? run.stages : null;
     let current = input;
 
-    for (const strategyName of this.strategies) {
-      const strategy = this[strategyName];
+    for (const { name: strategyName, strategy } of this._resolvePipeline(options)) {
       if (typeof strategy === 'function') {
+        run.attempted.push(strategyName);
         try {
-          const result = strategy.call(this, current);
-          if (result && typeof result === 'string') {
+          const { result, hunks } = Healer._applyStrategy(strategy, current, options, record);
+          // Unchanged text needs no new validation
+          if (result && typeof result === 'string' && result !== current) {
+            stages?.push({ strategy: strategyName, before: current, after: result, hunks });
             current = result;
-            if (this.isValidJSON(current)) {
-              return current;
+            if (Healer.isValidJSON(current)) {
+              run.output = current;
+              return run;
             }
           }
         } catch (e) {
           // Strategy failed, continue with next
+          run.errors.push({ strategy: strategyName, error: e });
           console.debug?.(`JsonHealer: Strategy "${strategyName}" threw:`, e.message);
         }
       }
     }
 
+    run.output = current; // Best effort
+
     // Try combined aggressive repair as last resort
     if (options.aggressive !== false) {
+      run.attempted.push('aggressiveRepair');
       try {
-        const aggressive = this.aggressiveRepair(input);
-        if (this.isValidJSON(aggressive)) {
-          return aggressive;
+        const aggressiveStages = record ? [] : null;
+        const aggressive = this._aggressiveRepair(input, options, aggressiveStages, run.errors);
+        if (Healer.isValidJSON(aggressive)) {
+          return { ...run, output: aggressive, stages: aggressiveStages, fallbackUsed: true };
         }
       } catch (e) {
         // Aggressive repair failed
+        run.errors.push({ strategy: 'aggressiveRepair', error: e });
       }
     }
 
-    return current; // Return best effort
+    return run;
+  }
+
+  /**
+   * Aggressive repair that optionally records each change as a stage and each strategy error
+   * @private
+   */
+  _aggressiveRepair(input, options, stages, errors = null) {
+    const Healer = this.constructor;
+    let result = input;
+    const apply = (strategyName, next, hunks) => {
+      if (stages && next !== result) {
+        stages.push({ strategy: strategyName, before: result, after: next, hunks });
+      }
+      result = next;
+    };
+    const applyStrategy = (strategyName, strategy) => {
+      const { result: next, hunks } = Healer._applyStrategy(strategy, result, options, !!stages);
+      apply(strategyName, next, hunks);
+    };
+
+    // Apply all selected strategies in sequence
+    for (const { name: strategyName, strategy } of this._resolvePipeline(options)) {
+      if (typeof strategy === 'function') {
+        try {
+          applyStrategy(strategyName, strategy);
+        } catch (e) {
+          // Continue
+          errors?.push({ strategy: strategyName, error: e });
+        }
+      }
+    }
+
+    // Ensure it starts and ends with proper characters
+    apply('aggressiveRepair', result.trim());
+
+    if (!result.startsWith('{') && !result.startsWith('[')) {
+      // Wrap in object if it looks like key-value pairs
+      if (/"[\w]+":\s*/.test(result)) {
+        apply('aggressiveRepair', '{' + result + '}');
+      }
+    }
+
+    // Final bracket balance
+    if (!this._isExcluded('balanceBrackets', options)) {
+      applyStrategy('balanceBrackets', Healer.balanceBrackets);
+    }
+
+    return result;
+  }
+
+  // ==================== STATIC API (default healer) ====================
+
+  /**
+   * Strategy pipeline of the default healer
+   * @type {string[]}
+   */
+  static get strategies() {
+    return this.defaultHealer.strategies;
+  }
+
+  static set strategies(list) {
+    this.defaultHealer.strategies = list;
+  }
+
+  /**
+   * Heal with the default healer - see JsonHealer#heal
+   */
+  static heal(input, options = {}) {
+    return this.defaultHealer.heal(input, options);
+  }
+
+  /**
+   * Heal and report with the default healer - see JsonHealer#healWithReport
+   */
+  static healWithReport(input, options = {}) {
+    return this.defaultHealer.healWithReport(input, options);
+  }
+
+  /**
+   * Parse with the default healer - see JsonHealer#parse
+   */
+  static parse(input, options = {}) {
+    return this.defaultHealer.parse(input, options);
+  }
+
+  /**
+   * Parse or throw a HealError with the default healer - see JsonHealer#parseOrThrow
+   */
+  static parseOrThrow(input, options = {}) {
+    return this.defaultHealer.parseOrThrow(input, options);
+  }
+
+  /**
+   * Extract every document with the default healer - see JsonHealer#extractAll
+   */
+  static extractAll(input, options = {}) {
+    return this.defaultHealer.extractAll(input, options);
+  }
+
+  /**
+   * Parse every document with the default healer - see JsonHealer#parseAll
+   */
+  static parseAll(input, options = {}) {
+    return this.defaultHealer.parseAll(input, options);
+  }
+
+  /**
+   * Aggressive repair with the default healer - see JsonHealer#aggressiveRepair
+   */
+  static aggressiveRepair(input, options = {}) {
+    return this.defaultHealer.aggressiveRepair(input, options);
+  }
+
+  /**
+   * Start healing a document that arrives in chunks (e.g. an LLM token stream)
+   * Call push(chunk) as text arrives and snapshot() for the value parsed so far
+   * @returns {HealingStream}
+   */
+  static createStream() {
+    return new HealingStream();
+  }
+
+  /**
+   * NDJSON Node.js Transform with the default healer - see JsonHealer#ndjsonTransform
+   */
+  static ndjsonTransform(options = {}) {
+    return this.defaultHealer.ndjsonTransform(options);
+  }
+
+  /**
+   * NDJSON Web Streams TransformStream with the default healer - see JsonHealer#ndjsonTransformStream
+   */
+  static ndjsonTransformStream(options = {}) {
+    return this.defaultHealer.ndjsonTransformStream(options);
+  }
+
+  /**
+   * Apply all strategies (legacy compatibility)
+   */
+  static applyAllStrategies(input) {
+    return this.aggressiveRepair(input);
   }
 
   /**
-   * Parse with healing - returns parsed object or null
-   * @param {string} input - JSON string to parse
-   * @param {object} [options] - Healing options
-   * @returns {any} - Parsed object or null if unparseable
+   * Register a custom healing strategy on the default healer
+   * Affects every caller of the static API; use JsonHealer.create() for an isolated pipeline
+   * @param {string} name - Strategy name
+   * @param {Function} strategy - Strategy function (receives input, returns output)
+   * @param {number} [priority] - Optional index position (lower = runs earlier)
    */
-  static parse(input, options = {}) {
-    const healed = this.heal(input, options);
-    try {
-      return JSON.parse(healed);
-    } catch {
-      return null;
-    }
+  static registerStrategy(name, strategy, priority) {
+    this.defaultHealer.registerStrategy(name, strategy, priority);
+  }
+
+  /**
+   * Remove a strategy from the default healer
+   * @param {string} name - Strategy name to remove
+   */
+  static removeStrategy(name) {
+    this.defaultHealer.removeStrategy(name);
   }
 
   /**
@@ -88,7 +921,7 @@ export class JsonHealer {
    * @returns {boolean}
    */
   static isValidJSON(str) {
-    if (typeof str !== 'string') return false;
+    if (typeof str !== 'string' || this._isUnclosed(str)) return false;
     try {
       JSON.parse(str);
       return true;
@@ -124,9 +957,11 @@ export class JsonHealer {
 
   /**
    * Extract JSON object or array from surrounding text
+   * In python mode a document may also be a constructor call, such as OrderedDict([...])
    */
-  static extractFromMixedText(input) {
+  static extractFromMixedText(input, options = {}) {
     const trimmed = input.trim();
+    if (this._startsWithCall(trimmed, options.mode)) return input;
 
     // Find all potential start positions
     const objStart = trimmed.indexOf('{');
@@ -159,15 +994,15 @@ export class JsonHealer {
     }
 
     // Find matching end bracket using stack-based matching
-    const endIdx = this._findMatchingBracket(trimmed, startIdx, startChar, endChar);
+    const endIdx = this._findMatchingBracket(trimmed, startIdx);
 
     if (endIdx !== -1) {
       return trimmed.substring(startIdx, endIdx + 1);
     }
 
-    // Fallback: use lastIndexOf
+    // Fallback: use lastIndexOf, unless the text after it still has keys (a truncated document, not prose)
     const lastEnd = trimmed.lastIndexOf(endChar);
-    if (lastEnd > startIdx) {
+    if (lastEnd > startIdx && !this._hasKeys(trimmed.slice(lastEnd + 1))) {
       return trimmed.substring(startIdx, lastEnd + 1);
     }
 
@@ -178,57 +1013,104 @@ export class JsonHealer {
   /**
    * Remove JavaScript/JSONC style comments (safe - avoids strings)
    */
-  static removeComments(input) {
-    let result = '';
-    let i = 0;
-    let inString = false;
-    let stringChar = null;
+  static removeComments(input, options = {}) {
+    // convertJsLiterals removes them itself: only it knows where template literals and regexes end
+    if (options.mode === 'javascript' || !input.includes('/')) return input;
+
+    const tokens = Tokenizer.scan(input);
+    const patch = new TextPatch(input);
+    for (let i = 0; i < tokens.length; i++) {
+      if (tokens.isComment(i)) patch.remove(tokens.start(i), tokens.end(i));
+    }
+    return patch.toString();
+  }
+
+  /**
+   * Turn typographic quotes (“ ” ‘ ’ „ « » ...) that delimit keys and strings into straight ones
+   * Structural positions only: an opening quote after { [ , : (or at the start), closed by a quote
+   * that is followed by : , } ] (or the end). Typographic quotes inside strings, and apostrophes
+   * like the one in don’t, are left alone
+   */
+  static normalizeSmartQuotes(input) {
+    if (!this._smartQuotePattern.test(input)) return input;
 
-    while (i < input.length) {
+    const patch = new TextPatch(input);
+    let previous = ''; // Last significant character outside strings
+    for (let i = 0; i < input.length; i++) {
       const char = input[i];
-      const next = input[i + 1];
-
-      // Handle string boundaries
-      if ((char === '"' || char === "'") && (i === 0 || input[i - 1] !== '\\')) {
-        if (!inString) {
-          inString = true;
-          stringChar = char;
-        } else if (char === stringChar) {
-          inString = false;
-          stringChar = null;
+      const structural = previous === '' || '{[,:'.includes(previous);
+      if (char === '"' || (char === "'" && structural)) {
+        // Straight-quoted strings keep their content, though a typographic quote may close them: when
+        // no straight quote closes them in a structural position, or when it ends a key ("id”: 7)
+        const end = this._quotedEnd(input, i + 1, char);
+        const closesAtEnd = end !== -1 && this._quotedEnd(input, end, char, true, end + 1) === end;
+        const smartEnd = this._quotedEnd(input, i + 1, this._smartClosers[char], true, end === -1 ? input.length : end);
+        if (smartEnd !== -1 && (!closesAtEnd || this._endsKey(input, smartEnd))) {
+          patch.replace(smartEnd, smartEnd + 1, char);
+          i = smartEnd;
+        } else if (end === -1) {
+          break;
+        } else {
+          i = end;
         }
-        result += char;
-        i++;
+        previous = char;
         continue;
       }
 
-      // Skip comments only when not in string
-      if (!inString) {
-        // Single-line comment
-        if (char === '/' && next === '/') {
-          // Skip until newline
-          while (i < input.length && input[i] !== '\n') {
-            i++;
-          }
-          continue;
-        }
-
-        // Multi-line comment
-        if (char === '/' && next === '*') {
-          i += 2;
-          while (i < input.length - 1 && !(input[i] === '*' && input[i + 1] === '/')) {
-            i++;
-          }
-          i += 2; // Skip */
-          continue;
-        }
+      const closers = this._smartQuotes[char];
+      const end = closers && structural ? this._quotedEnd(input, i + 1, closers, true) : -1;
+      if (end !== -1) {
+        patch.replace(i, end + 1, `"${this._escapeQuotes(input.slice(i + 1, end))}"`);
+        previous = '"';
+        i = end;
+      } else if (closers && structural && ![...input.slice(i + 1)].some(rest => closers.includes(rest))) {
+        // A string the end of the input cut off: left open for closeBrokenStrings
+        patch.replace(i, input.length, `"${this._escapeQuotes(input.slice(i + 1))}`);
+        break;
+      } else if (!/\s/.test(char)) {
+        previous = char;
       }
-
-      result += char;
-      i++;
     }
+    return patch.toString();
+  }
 
-    return result;
+  /**
+   * Escape double quotes inside string values that do not end the string
+   * A quote ends a value when what follows fits: , } ] or the end of the input, a line break, a
+   * comma before the next key (in an array, the next element), or a bracket or string after a
+   * missing comma. Anything else (He said "hello" to me) is content. Keys are left alone
+   */
+  static escapeInnerQuotes(input) {
+    if (!input.includes('"')) return input;
+
+    const patch = new TextPatch(input);
+    const containers = [];
+    // Only quotes and brackets matter; the text between them is skipped in one step
+    const special = /["'{}[\]]/g;
+    while (special.test(input)) {
+      const i = special.lastIndex - 1;
+      const char = input[i];
+      if (char === '{' || char === '[') {
+        containers.push(char);
+        continue;
+      }
+      if (char === '}' || char === ']') {
+        containers.pop();
+        continue;
+      }
+      // The last significant character before the quote; a skipped string ends in its quote
+      let before = i - 1;
+      while (before >= 0 && Tokenizer.isWhitespaceAt(input, before)) before--;
+      const previous = before === -1 ? '' : input[before];
+      if (char === "'" && previous !== '' && !'{[,:'.includes(previous)) continue;
+
+      const inArray = containers[containers.length - 1] === '[';
+      const isValue = char === '"' && (previous === ':' || (inArray && '[,'.includes(previous)));
+      const end = isValue ? this._valueStringEnd(input, i + 1, inArray, patch) : this._quotedEnd(input, i + 1, char);
+      if (end === -1) break;
+      special.lastIndex = end + 1;
+    }
+    return patch.toString();
   }
 
   /**
@@ -251,783 +1133,1359 @@ export class JsonHealer {
    * Escape unescaped control characters within strings
    */
   static escapeControlCharacters(input) {
-    let result = '';
-    let inString = false;
-    let i = 0;
-
-    while (i < input.length) {
-      const char = input[i];
-
-      // Track string boundaries
-      if (char === '"' && (i === 0 || input[i - 1] !== '\\')) {
-        inString = !inString;
-        result += char;
-        i++;
-        continue;
-      }
-
+    const control = /[\u0000-\u001f]/g;
+    if (!control.test(input)) return input;
+
+    const tokens = Tokenizer.scan(input);
+    const patch = new TextPatch(input);
+    // Visit only the tokens that contain a control character
+    control.lastIndex = 0;
+    for (let match = control.exec(input); match; match = control.exec(input)) {
+      const i = tokens.indexAt(match.index);
       // Only escape control characters inside strings
-      if (inString) {
-        const code = char.charCodeAt(0);
-        if (code < 32) {
-          switch (code) {
-            case 8: result += '\\b'; break;
-            case 9: result += '\\t'; break;
-            case 10: result += '\\n'; break;
-            case 12: result += '\\f'; break;
-            case 13: result += '\\r'; break;
-            default: result += `\\u${code.toString(16).padStart(4, '0')}`;
-          }
-          i++;
-          continue;
-        }
+      if (tokens.isString(i) && tokens.quote(i) === '"') {
+        patch.replace(tokens.start(i), tokens.end(i), Tokenizer.escapeControlCharacters(tokens.value(i)));
       }
-
-      result += char;
-      i++;
+      control.lastIndex = tokens.end(i);
     }
+    return patch.toString();
+  }
 
-    return result;
+  /**
+   * Rewrite escape sequences JSON does not allow within strings (\x41, \', \U0001F600, \q, ...)
+   * and unpaired surrogates; options.invalidEscapes decides what happens to the ones with no
+   * meaning (see Tokenizer.fixInvalidEscapes)
+   */
+  static fixInvalidEscapes(input, { invalidEscapes = 'keep' } = {}) {
+    const suspect = /\\[^"\\/bfnrt]|[\ud800-\udfff]/g;
+    if (!suspect.test(input)) return input;
+
+    const tokens = Tokenizer.scan(input);
+    const patch = new TextPatch(input);
+    // Visit only the tokens that contain a suspect escape or surrogate
+    suspect.lastIndex = 0;
+    for (let match = suspect.exec(input); match; match = suspect.exec(input)) {
+      const i = tokens.indexAt(match.index);
+      if (tokens.isString(i) && tokens.quote(i) === '"') {
+        const value = tokens.value(i);
+        const fixed = Tokenizer.fixInvalidEscapes(value, invalidEscapes);
+        if (fixed !== value) patch.replace(tokens.start(i), tokens.end(i), fixed);
+      }
+      suspect.lastIndex = tokens.end(i);
+    }
+    return patch.toString();
   }
 
   /**
    * Fix trailing commas before ] or }
    */
   static fixTrailingCommas(input) {
-    // Handle one or more trailing commas with optional whitespace
-    return input.replace(/,(\s*,)*(\s*[}\]])/g, '$2');
+    if (!this._mayContain(input, /,\s*[}\]]/)) return input;
+
+    const tokens = Tokenizer.scan(input);
+    const drop = [];
+
+    // Walk backwards so each comma knows whether only commas stand between it and a closer
+    let closerAhead = false;
+    for (let i = tokens.length - 1; i >= 0; i--) {
+      if (!tokens.isSignificant(i)) continue;
+      if (tokens.isPunctuation(i, ',')) {
+        if (closerAhead) drop.push(i);
+      } else {
+        closerAhead = tokens.isPunctuation(i, '}]');
+      }
+    }
+
+    const patch = new TextPatch(input);
+    for (let k = drop.length - 1; k >= 0; k--) {
+      patch.remove(tokens.start(drop[k]), tokens.end(drop[k]));
+    }
+    return patch.toString();
   }
 
   /**
    * Fix leading commas after [ or {
    */
   static fixLeadingCommas(input) {
-    return input.replace(/([{\[])\s*,+/g, '$1');
+    if (!this._mayContain(input, /[{[]\s*,/)) return input;
+
+    const tokens = Tokenizer.scan(input);
+    const patch = new TextPatch(input);
+    let openerBehind = false;
+
+    for (let i = 0; i < tokens.length; i++) {
+      if (!tokens.isSignificant(i)) continue;
+      if (tokens.isPunctuation(i, ',')) {
+        if (openerBehind) patch.remove(tokens.start(i), tokens.end(i));
+      } else {
+        openerBehind = tokens.isPunctuation(i, '{[');
+      }
+    }
+    return patch.toString();
   }
 
   /**
    * Fix multiple consecutive commas
    */
   static fixMultipleCommas(input) {
-    // Replace multiple commas with single comma (outside strings)
-    let result = '';
-    let i = 0;
-    let inString = false;
+    // Keep the first comma of a run (whitespace between them is kept)
+    if (!this._mayContain(input, /,\s*,/)) return input;
 
-    while (i < input.length) {
-      const char = input[i];
+    const tokens = Tokenizer.scan(input);
+    const patch = new TextPatch(input);
+    let previous = -1;
 
-      if (char === '"' && (i === 0 || input[i - 1] !== '\\')) {
-        inString = !inString;
-        result += char;
-        i++;
+    for (let i = 0; i < tokens.length; i++) {
+      if (!tokens.isSignificant(i)) continue;
+      if (tokens.isPunctuation(i, ',') && tokens.isPunctuation(previous, ',')) {
+        patch.remove(tokens.start(i), tokens.end(i));
+      }
+      previous = i;
+    }
+    return patch.toString();
+  }
+
+  /**
+   * Fix unquoted object keys (safe - avoids strings)
+   */
+  static fixUnquotedKeys(input) {
+    if (!this._mayContain(input, /[\w$]\s*:/)) return input;
+
+    const tokens = Tokenizer.scan(input);
+    const patch = new TextPatch(input);
+
+    for (let i = 0; i < tokens.length; i++) {
+      // Look for unquoted keys after { or , and before :
+      if (!tokens.isWord(i) ||
+        !tokens.isPunctuation(tokens.nextSignificant(i), ':') ||
+        !tokens.isPunctuation(tokens.previousSignificant(i), '{,')) {
         continue;
       }
+      const word = tokens.value(i);
+      if (/^[a-zA-Z_$][\w$]*$/.test(word)) patch.replace(tokens.start(i), tokens.end(i), `"${word}"`);
+    }
+    return patch.toString();
+  }
 
-      if (inString) {
-        result += char;
-        i++;
+  /**
+   * Quote bare words in value position (after a colon, or in an array), including multi-word
+   * values that run up to a comma or closer: {status: active, note: hello world}
+   * Literals, numbers and the words fixPythonLiterals converts are left alone
+   */
+  static quoteBareValues(input) {
+    // A word in value position, other than a plain number that ends its element
+    if (!this._mayContain(input, /[:[,]\s*(?![-+]?\d[\d.eE+-]*\s*[,}\]])[^\s"{}[\]:,]/)) return input;
+
+    const tokens = Tokenizer.scan(input);
+    const patch = new TextPatch(input);
+    const containers = [];
+
+    for (let i = 0; i < tokens.length; i++) {
+      if (tokens.isPunctuation(i, '{[')) {
+        containers.push(input[tokens.start(i)]);
+        continue;
+      }
+      if (tokens.isPunctuation(i, '}]')) {
+        containers.pop();
         continue;
       }
+      if (!tokens.isWord(i)) continue;
+
+      const previous = tokens.previousSignificant(i);
+      const isValue = tokens.isPunctuation(previous, ':') ||
+        (containers[containers.length - 1] === '[' && tokens.isPunctuation(previous, '[,'));
+      const end = isValue ? Tokenizer.bareValueEnd(tokens, i) : -1;
+      if (end === -1) continue;
+      const start = tokens.start(i);
+      patch.replace(start, tokens.end(end), JSON.stringify(input.slice(start, tokens.end(end))));
+      i = end;
+    }
+    return patch.toString();
+  }
 
-      // If we see a comma, skip any following commas and whitespace then add just one comma
-      if (char === ',') {
-        result += ',';
-        i++;
-        // Skip whitespace and additional commas
-        while (i < input.length) {
-          const next = input[i];
-          if (next === ',') {
-            i++;
-          } else if (/\s/.test(next)) {
-            result += next;
-            i++;
-          } else {
-            break;
-          }
-        }
+  /**
+   * Fix missing colons between keys and values
+   */
+  static fixMissingColons(input) {
+    // Only add colons in object context: a string in key position followed directly by a value
+    const tokens = Tokenizer.scan(input);
+    const patch = new TextPatch(input);
+    const containers = [];
+
+    for (let i = 0; i < tokens.length; i++) {
+      if (tokens.isPunctuation(i, '{[}]')) {
+        const char = input[tokens.start(i)];
+        if (char === '{' || char === '[') containers.push(char);
+        else containers.pop();
         continue;
       }
+      if (!tokens.isString(i) || !tokens.closed(i) || containers[containers.length - 1] !== '{') continue;
 
-      result += char;
-      i++;
+      const next = tokens.nextSignificant(i);
+      if (tokens.isPunctuation(tokens.previousSignificant(i), '{,') && next !== -1 && this._startsValue(tokens, next)) {
+        patch.insert(tokens.end(i), ':');
+      }
     }
+    return patch.toString();
+  }
 
-    return result;
+  /**
+   * Fix single quotes to double quotes
+   * The tokenizer finds where each single-quoted string starts and ends by position (opening
+   * after `{ [ , :`, closing before `, : } ]`), so apostrophes inside strings (don't, James')
+   * and double-quoted strings in the same document are left alone
+   */
+  static fixSingleQuotes(input) {
+    const tokens = Tokenizer.scan(input);
+    const patch = new TextPatch(input);
+    for (let i = 0; i < tokens.length; i++) {
+      if (!tokens.isString(i) || tokens.quote(i) !== "'") continue;
+      const content = Tokenizer.requote(tokens.content(i));
+      patch.replace(tokens.start(i), tokens.end(i), '"' + content + (tokens.closed(i) ? '"' : ''));
+    }
+    return patch.toString();
   }
 
   /**
-   * Fix unquoted object keys (safe - avoids strings)
+   * Fix closers of the wrong type (`[1, 2}`) by tracking the closer each open container expects
+   * A mismatched closer is replaced by the expected one, or, when what follows shows it closes an
+   * outer container, the closers the inner ones are missing go before it (see
+   * Tokenizer.substitutesCloser). Closers with nothing open are left to balanceBrackets
    */
-  static fixUnquotedKeys(input) {
-    let result = '';
-    let i = 0;
-    let inString = false;
+  static fixMismatchedClosers(input) {
+    if (!/[}\]]/.test(input)) return input;
+
+    const tokens = Tokenizer.scan(input);
+    const patch = new TextPatch(input);
+    const open = []; // Opener characters, innermost last
+    for (let i = 0; i < tokens.length; i++) {
+      if (tokens.isPunctuation(i, '{[')) {
+        open.push(tokens.value(i));
+        continue;
+      }
+      if (!tokens.isPunctuation(i, '}]')) continue;
 
-    while (i < input.length) {
-      const char = input[i];
+      while (open.length) {
+        const expected = open[open.length - 1] === '{' ? '}' : ']';
+        if (tokens.value(i) === expected) {
+          open.pop();
+          break;
+        }
+        if (Tokenizer.substitutesCloser(tokens, i, open)) {
+          patch.replace(tokens.start(i), tokens.end(i), expected);
+          open.pop();
+          break;
+        }
+        patch.insert(tokens.start(i), expected);
+        open.pop();
+      }
+    }
+    return patch.toString();
+  }
 
-      // Track string state
-      if (char === '"' && (i === 0 || input[i - 1] !== '\\')) {
-        inString = !inString;
-        result += char;
-        i++;
-        continue;
+  /**
+   * Complete the token a truncated document ends on (safe - only touches the end of the input)
+   * Finishes partial literals (tru → true), trims dangling decimal points and exponents
+   * (12. → 12, 1e- → 1), drops a key that never got its value and a comma nothing followed.
+   * With options.truncation 'drop-incomplete' a dangling key or comma is left to balanceBrackets, which
+   * drops it along with the rest of what the cut left unfinished
+   */
+  static completeTruncatedValues(input, { truncation = 'complete' } = {}) {
+    const tokens = Tokenizer.scan(input);
+    let last = tokens.length - 1;
+    while (last >= 0 && !tokens.isSignificant(last)) last--;
+    // Only a document cut off inside an object or array
+    const container = this._enclosingOpener(tokens, last);
+    if (container === -1) return input;
+
+    const patch = new TextPatch(input);
+    const previous = tokens.previousSignificant(last);
+    const inObject = tokens.isPunctuation(container, '{');
+    // A key follows the object's opener or a comma; anything else is left to later strategies
+    const isKey = inObject && (previous === container || tokens.isPunctuation(previous, ','));
+
+    if (tokens.isPunctuation(last, ',')) {
+      // `[1, 2,`: closers appended after the comma would leave it trailing
+      if (truncation === 'drop-incomplete') return input;
+      patch.remove(tokens.start(last), input.length);
+    } else if (tokens.isPunctuation(last, ':') || (isKey && (tokens.isString(last) || tokens.isWord(last)))) {
+      // A key with no value (`"b":`, `"b"`, or a key cut off mid-word)
+      if (truncation === 'drop-incomplete') return input;
+      const key = tokens.isPunctuation(last, ':') ? previous : last;
+      patch.remove(this._trailingElementStart(tokens, key), input.length);
+    } else if (tokens.isWord(last)) {
+      const word = tokens.value(last);
+      const completed = Tokenizer.completeWord(word);
+      if (completed === null) {
+        patch.remove(this._trailingElementStart(tokens, last), input.length);
+      } else if (completed !== word) {
+        patch.replace(tokens.start(last), tokens.end(last), completed);
       }
+    }
+    return patch.toString();
+  }
 
-      if (inString) {
-        result += char;
-        i++;
+  /**
+   * Close broken/unclosed strings
+   * With options.truncation 'drop-incomplete-strings', a string cut off by the end of the input
+   * is dropped along with its member or element; 'drop-incomplete' leaves it to balanceBrackets,
+   * which drops what the cut left unfinished in one go
+   */
+  static closeBrokenStrings(input, { truncation = 'complete' } = {}) {
+    // A `, "key":` run inside a string suggests the string should have ended at the comma.
+    // That hook can only fire in a string whose content ends with a comma; without one,
+    // the plain (shared) scan already gives the same tokens
+    let tokens = Tokenizer.scan(input);
+    if (this._hasCommaEndedString(tokens)) {
+      tokens = Tokenizer.scan(input, { breakString: Tokenizer.breakBeforeKey });
+    }
+    const patch = new TextPatch(input);
+    const last = tokens.length - 1;
+    const cut = truncation !== 'complete' && tokens.isString(last) && !tokens.closed(last)
+      ? this._trailingElementStart(tokens, last)
+      : -1;
+
+    for (let i = 0; i < tokens.length; i++) {
+      if (!tokens.isString(i) || tokens.closed(i)) continue;
+      if (cut !== -1 && tokens.start(i) >= cut) break;
+      patch.replace(tokens.start(i), tokens.end(i), Tokenizer.trimDanglingBackslash(tokens.value(i)) + tokens.quote(i));
+    }
+    if (cut !== -1 && truncation === 'drop-incomplete-strings') patch.remove(cut, input.length);
+    return patch.toString();
+  }
+
+  /**
+   * Balance brackets and braces using a proper stack
+   * With options.truncation 'drop-incomplete', what the end of the input cut off is dropped
+   * before closing: objects as a whole, the last element of arrays, and unfinished values
+   */
+  static balanceBrackets(input, { truncation = 'complete' } = {}) {
+    const trimmed = input.trim();
+    const tokens = Tokenizer.scan(trimmed);
+    const patch = new TextPatch(trimmed);
+    // Unmatched openers of each type, by token index; a closer matches the last opener of its type
+    const openers = { '{': [], '[': [] };
+
+    for (let i = 0; i < tokens.length; i++) {
+      if (!tokens.isPunctuation(i, '{}[]')) continue;
+      const char = trimmed[tokens.start(i)];
+      if (char === '{' || char === '[') {
+        openers[char].push(i);
+      } else if (openers[char === '}' ? '{' : '['].pop() === undefined) {
+        // Remove unmatched closers
+        patch.remove(tokens.start(i), tokens.end(i));
+      }
+    }
+
+    if (truncation === 'drop-incomplete') {
+      const cut = this._truncationCut(tokens, [...openers['{'], ...openers['[']].sort((a, b) => a - b));
+      if (cut !== -1) return this.balanceBrackets(trimmed.slice(0, cut));
+    }
+
+    // Add missing closers in reverse opening order (LIFO)
+    const braces = openers['{'];
+    const brackets = openers['['];
+    let closers = '';
+    while (braces.length || brackets.length) {
+      const lastBrace = braces.length ? braces[braces.length - 1] : -1;
+      const lastBracket = brackets.length ? brackets[brackets.length - 1] : -1;
+      if (lastBrace > lastBracket) {
+        braces.pop();
+        closers += '}';
+      } else {
+        brackets.pop();
+        closers += ']';
+      }
+    }
+
+    return patch.toString() + closers;
+  }
+
+  /**
+   * Fix missing commas between elements
+   */
+  static fixMissingCommas(input) {
+    const tokens = Tokenizer.scan(input);
+    const patch = new TextPatch(input);
+    let previous = -1;
+
+    for (let i = 0; i < tokens.length; i++) {
+      if (!tokens.isSignificant(i)) continue;
+      // Two adjacent values (e.g. `1 2`, `} {`, `"a" "b"`) need a comma right after the first
+      if (previous !== -1 && this._startsValue(tokens, i) && this._endsValue(tokens, previous)) {
+        patch.insert(tokens.end(previous), ',');
+      }
+      previous = i;
+    }
+    return patch.toString();
+  }
+
+  // ==================== MODE STRATEGIES ====================
+
+  /**
+   * Replace whitespace JSON does not allow (no-break space, BOM, line separators) outside strings
+   */
+  static normalizeJson5Whitespace(input) {
+    if (!/[^\S \t\n\r]/.test(input)) return input;
+
+    const tokens = Tokenizer.scan(input);
+    const patch = new TextPatch(input);
+    for (let i = 0; i < tokens.length; i++) {
+      if (!tokens.isWhitespace(i)) continue;
+      const whitespace = tokens.value(i);
+      const normalized = Json5.whitespace(whitespace);
+      if (normalized !== whitespace) patch.replace(tokens.start(i), tokens.end(i), normalized);
+    }
+    return patch.toString();
+  }
+
+  /**
+   * Convert JSON5 strings: single quotes, line continuations and escapes JSON does not have
+   * An unclosed string stays unclosed for closeBrokenStrings
+   */
+  static convertJson5Strings(input) {
+    if (!/['\\]/.test(input)) return input;
+
+    const tokens = Tokenizer.scan(input);
+    const patch = new TextPatch(input);
+    for (let i = 0; i < tokens.length; i++) {
+      if (!tokens.isString(i)) continue;
+      const text = '"' + Json5.string(tokens.content(i)) + (tokens.closed(i) ? '"' : '');
+      if (text !== tokens.value(i)) patch.replace(tokens.start(i), tokens.end(i), text);
+    }
+    return patch.toString();
+  }
+
+  /**
+   * Quote unquoted keys, including Unicode identifiers and \uXXXX escapes in them
+   */
+  static convertJson5Identifiers(input) {
+    const tokens = Tokenizer.scan(input);
+    const patch = new TextPatch(input);
+    for (let i = 0; i < tokens.length; i++) {
+      if (!tokens.isWord(i) ||
+        !tokens.isPunctuation(tokens.nextSignificant(i), ':') ||
+        !tokens.isPunctuation(tokens.previousSignificant(i), '{,')) {
         continue;
       }
+      const key = Json5.identifier(tokens.value(i));
+      if (key !== null) patch.replace(tokens.start(i), tokens.end(i), key);
+    }
+    return patch.toString();
+  }
+
+  /**
+   * Convert JSON5 numbers: hexadecimal, explicit plus signs, leading or trailing decimal points,
+   * and signed Infinity/NaN
+   */
+  static convertJson5Numbers(input) {
+    const tokens = Tokenizer.scan(input);
+    const patch = new TextPatch(input);
+    for (let i = 0; i < tokens.length; i++) {
+      if (!tokens.isWord(i) || tokens.isPunctuation(tokens.nextSignificant(i), ':')) continue;
+      const word = tokens.value(i);
+      const number = Json5.number(word);
+      if (number !== null && number !== word) patch.replace(tokens.start(i), tokens.end(i), number);
+    }
+    return patch.toString();
+  }
+
+  /**
+   * Convert Python repr() output: tuples and sets, prefixed and triple-quoted strings, Python
+   * escapes and numbers, and constructor calls such as Decimal(...) or datetime.datetime(...)
+   */
+  static convertPythonRepr(input) {
+    return PythonRepr.convert(input);
+  }
+
+  /**
+   * Convert JavaScript object literals: template literals, new Date(...), regexes, undefined,
+   * spread elements and semicolons, on top of the JSON5 syntax
+   */
+  static convertJsLiterals(input, options = {}) {
+    return JsLiteral.convert(input, { omitUndefined: options.omitUndefined });
+  }
+
+  // ==================== HELPER METHODS ====================
+
+  // Strategies that come before the ones a mode adds
+  static _preModeStrategies = ['extractFromMarkdown', 'extractFromMixedText', 'removeComments', 'normalizeSmartQuotes'];
+
+  // Strategies the parser engine has no counterpart for; it runs them before parsing
+  static _parserPrepasses = ['normalizeSmartQuotes', 'escapeInnerQuotes'];
+
+  // Typographic opening quotes, with the quotes that may close them (straight ones included, for mixed text)
+  static _smartQuotes = {
+    '\u201c': '\u201d\u201c"', // “ ”
+    '\u201d': '\u201d"', //       ” ” (Swedish, Finnish)
+    '\u201e': '\u201c\u201d"', // „ “ (German)
+    '\u2018': "\u2019\u2018'", // ‘ ’
+    '\u2019': "\u2019'", //       ’ ’
+    '\u201a': "\u2018\u2019'", // ‚ ‘
+    '\u00ab': '\u00bb', //        « »
+    '\u00bb': '\u00ab', //        » « (Danish)
+    '\u2039': '\u203a', //        ‹ ›
+    '\u203a': '\u2039', //        › ‹
+  };
+
+  // Typographic quotes that may close a straight-quoted string
+  static _smartClosers = { '"': '\u201d\u201c', "'": '\u2019\u2018' };
+
+  // What may follow the comma after a string value, past any repeated commas: the next key, or the
+  // next element (or the end, or a comment). The parser engine sees JSON5 and comments here, as it
+  // runs escapeInnerQuotes first
+  static _nextKeyPattern = /[\s,]*(?:$|\}|\/[/*]|"(?:[^"\\\n]|\\.)*"\s*:|'(?:[^'\\\n]|\\.)*'\s*:|[\p{L}_$][\p{L}\p{N}_$]*\s*:)/uy;
+  static _nextElementPattern = /[\s,]*(?:$|[\]"'{[\d+.-]|\/[/*]|(?:true|false|null|True|False|None|undefined|NaN|Infinity)\b)/y;
+  static _bareKeyPattern = /[\p{L}_$][\p{L}\p{N}_$]*\s*:/uy;
+  // The characters in a string value that need a look: its quotes and escapes
+  static _quoteOrBackslash = /["\\]/g;
+
+  // Offset of the closer that matches the first bracket, by token list (see _findMatchingBracket)
+  static _matchedBrackets = new WeakMap();
+
+  static _smartQuotePattern = /[\u201c-\u201e\u2018-\u201a\u00ab\u00bb\u2039\u203a]/;
+
+  /**
+   * Whether text starts with a call, which is a whole document in python mode
+   * @private
+   */
+  static _startsWithCall(text, mode) {
+    return mode === 'python' && /^[\p{L}_][\p{L}\p{N}_.]*\(/u.test(text);
+  }
+
+  // Values of the options that pick a behavior by name; the first is the default
+  static _optionValues = Object.freeze({
+    engine: ['strategies', 'parser'],
+    truncation: ['complete', 'drop-incomplete', 'drop-incomplete-strings'],
+    invalidEscapes: ['keep', 'replace', 'remove'],
+  });
+
+  /**
+   * Throw a TypeError for a mode, engine, truncation or invalidEscapes value there is no behavior for
+   * @private
+   */
+  static _checkOptions(options) {
+    this._modeStrategies(options.mode);
+    for (const [name, values] of Object.entries(JsonHealer._optionValues)) {
+      const value = options[name];
+      if (value !== undefined && !values.includes(value)) {
+        throw new TypeError(`Unknown ${name} ${JSON.stringify(value)}; expected one of: ${values.join(', ')}`);
+      }
+    }
+  }
+
+  /**
+   * Strategy names for options.mode
+   * @private
+   */
+  static _modeStrategies(mode) {
+    if (mode === undefined || mode === null) return [];
+    if (!Object.prototype.hasOwnProperty.call(this.modes, mode)) {
+      throw new TypeError(`Unknown mode ${JSON.stringify(mode)}; expected one of: ${Object.keys(this.modes).join(', ')}`);
+    }
+    return this.modes[mode];
+  }
 
-      // Look for unquoted keys after { or ,
-      const lastNonWhitespace = result.replace(/\s+$/, '').slice(-1);
-      if (lastNonWhitespace === '{' || lastNonWhitespace === ',') {
-        const keyMatch = input.slice(i).match(/^(\s*)([a-zA-Z_$][\w$]*)\s*:/);
-        if (keyMatch) {
-          const [fullMatch, whitespace, key] = keyMatch;
-          result += `${whitespace}"${key}":`;
-          i += fullMatch.length;
-          continue;
+  /**
+   * Index of the quote that ends a string value whose content starts at from; the quotes before
+   * it are escaped. A value the end of the input cut off runs to the end (-1)
+   * A value that never closed before `, "key":` ends at that comma: a closing quote is inserted
+   * there and the index just before the comma is returned
+   * @private
+   */
+  static _valueStringEnd(input, from, inArray, patch) {
+    const inner = [];
+    let end = -1;
+    let unclosed = -1; // Comma the string should have ended at
+    // Jump from quote to backslash: everything between them is content
+    const special = this._quoteOrBackslash;
+    special.lastIndex = from;
+    while (special.test(input)) {
+      const i = special.lastIndex - 1;
+      if (input[i] === '\\') {
+        special.lastIndex++;
+      } else {
+        if (this._endsValueString(input, i, inArray)) {
+          end = i;
+          break;
+        }
+        let comma = i - 1;
+        while (comma >= from && Tokenizer.isWhitespaceAt(input, comma)) comma--;
+        if (comma >= from && Tokenizer.breakBeforeKey(input, comma, '"')) {
+          unclosed = comma;
+          break;
         }
+        inner.push(i);
       }
+    }
+    for (const at of inner) patch.insert(at, '\\');
+    if (unclosed !== -1) {
+      patch.insert(unclosed, '"');
+      return unclosed - 1;
+    }
+    return end;
+  }
 
-      result += char;
-      i++;
+  /**
+   * Whether the quote at i ends a string value, judging by what follows it
+   * @private
+   */
+  static _endsValueString(input, i, inArray) {
+    let next = i + 1;
+    while (next < input.length && Tokenizer.isWhitespaceAt(input, next)) next++;
+    if (next === input.length || '}]{['.includes(input[next])) return true;
+    if (input[next] === '/' && (input[next + 1] === '/' || input[next + 1] === '*')) return true;
+    // Strings rarely hold raw line breaks; one after the quote ends the string
+    if (next > i + 1 && /[\n\r]/.test(input.slice(i + 1, next))) return true;
+
+    const char = input[next];
+    if (char === ',') {
+      const pattern = inArray ? this._nextElementPattern : this._nextKeyPattern;
+      pattern.lastIndex = next + 1;
+      return pattern.test(input);
     }
+    // "a" "b" misses a comma, but in "The "Matrix"", only the second quote ends the string
+    if (char === '"') return next > i + 1;
+    // A key where an element was expected: a closer before it was of the wrong type
+    if (char === ':') return inArray;
+    // An unquoted key after a missing comma
+    this._bareKeyPattern.lastIndex = next;
+    return !inArray && this._bareKeyPattern.test(input);
+  }
 
-    return result;
+  /**
+   * Escape the double quotes in string content that are not escaped yet
+   * @private
+   */
+  static _escapeQuotes(content) {
+    return content.replace(/(\\[\s\S])|"/g, (match, escape) => escape ?? '\\"');
   }
 
   /**
-   * Fix missing colons between keys and values
+   * Whether a colon follows the quote at i
+   * @private
    */
-  static fixMissingColons(input) {
-    // Only add colons in object context (after { or ,)
-    // Pattern: { or , followed by "key" then whitespace then value (without colon)
-    let result = '';
-    let i = 0;
-    let inString = false;
-    let lastStructural = '';
-
-    while (i < input.length) {
-      const char = input[i];
+  static _endsKey(input, i) {
+    let next = i + 1;
+    while (next < input.length && /\s/.test(input[next])) next++;
+    return input[next] === ':';
+  }
 
-      if (char === '"' && (i === 0 || input[i - 1] !== '\\')) {
-        if (!inString) {
-          inString = true;
-          // Check if this is a key that needs a colon after it
-          if (lastStructural === '{' || lastStructural === ',') {
-            // Find the end of this string
-            let j = i + 1;
-            while (j < input.length && !(input[j] === '"' && input[j - 1] !== '\\')) {
-              j++;
-            }
-            if (j < input.length) {
-              // Got the full string, check what follows
-              const afterString = input.slice(j + 1).match(/^(\s*)(.)/);
-              if (afterString && afterString[2] !== ':' && /[\[{"tfn\d-]/.test(afterString[2])) {
-                // Missing colon - add the string with colon
-                result += input.slice(i, j + 1) + ':' + afterString[1];
-                i = j + 1 + afterString[1].length;
-                inString = false;
-                continue;
-              }
-            }
-          }
-        } else {
-          inString = false;
-        }
-        result += char;
+  /**
+   * Index of the quote that ends a string whose content starts at from, or -1
+   * A closer only counts when a structural character (: , } ]) or the end follows it, if structural is set
+   * @private
+   */
+  static _quotedEnd(input, from, closers, structural = false, limit = input.length) {
+    for (let i = from; i < limit; i++) {
+      if (input[i] === '\\') {
         i++;
+      } else if (closers.includes(input[i])) {
+        if (!structural) return i;
+        let next = i + 1;
+        while (next < input.length && Tokenizer.isWhitespaceAt(input, next)) next++;
+        if (next === input.length || ':,}]'.includes(input[next])) return i;
+      }
+    }
+    return -1;
+  }
+
+  /**
+   * Find the closer of the bracket at startIdx using a stack of open containers
+   * A closer of the wrong type ends the container fixMismatchedClosers would end with it; one
+   * whose type has no open container is skipped
+   * scanOptions are passed to Tokenizer.scan, so a caller can share the scan an engine will make anyway
+   * @private
+   */
+  static _findMatchingBracket(str, startIdx, scanOptions) {
+    const text = startIdx ? str.slice(startIdx) : str;
+    const tokens = Tokenizer.scan(text, scanOptions);
+    // A shared scan is matched once: the candidate check and extraction both match a large input's root
+    if (!this._matchedBrackets.has(tokens)) this._matchedBrackets.set(tokens, this._matchBracket(tokens));
+    const close = this._matchedBrackets.get(tokens);
+    return close === -1 ? -1 : startIdx + close;
+  }
+
+  /**
+   * Offset of the closer of the bracket that starts tokens (see _findMatchingBracket), or -1
+   * @private
+   */
+  static _matchBracket(tokens) {
+    const text = tokens.input;
+    const open = [];
+
+    for (let i = 0; i < tokens.length; i++) {
+      if (!tokens.isPunctuation(i, '{}[]')) continue;
+      const char = text[tokens.start(i)];
+      if (char === '{' || char === '[') {
+        open.push(char);
         continue;
       }
-
-      if (!inString && /[{},\[\]]/.test(char)) {
-        lastStructural = char;
+      if (!open.includes(char === '}' ? '{' : '[')) continue;
+      while (open.length) {
+        const closesInnermost = open[open.length - 1] === (char === '}' ? '{' : '[') ||
+          Tokenizer.substitutesCloser(tokens, i, open);
+        open.pop();
+        if (closesInnermost) break;
+      }
+      if (open.length === 0) {
+        return tokens.start(i);
       }
-
-      result += char;
-      i++;
     }
 
-    return result;
+    return -1;
   }
 
   /**
-   * Fix single quotes to double quotes (smart detection)
+   * Split the input into markdown code fence contents and the text between them, in order
+   * A fence the input ends inside of (a truncated response) runs to the end
+   * @private
    */
-  static fixSingleQuotes(input) {
-    const doubleCount = (input.match(/"/g) || []).length;
-    const singleCount = (input.match(/'/g) || []).length;
-
-    // Only convert if single quotes dominate
-    if (singleCount <= doubleCount) {
-      return input;
-    }
-
-    let result = '';
-    let i = 0;
-    let inString = false;
-    let stringChar = null;
-
-    while (i < input.length) {
-      const char = input[i];
-      const prev = i > 0 ? input[i - 1] : '';
-
-      if ((char === "'" || char === '"') && prev !== '\\') {
-        if (!inString) {
-          inString = true;
-          stringChar = char;
-          result += '"'; // Always output double quote
-        } else if (char === stringChar) {
-          inString = false;
-          stringChar = null;
-          result += '"'; // Always output double quote
-        } else {
-          // Different quote inside string - escape if needed
-          if (char === '"') {
-            result += '\\"';
-          } else {
-            result += char;
-          }
-        }
-      } else {
-        result += char;
-      }
-      i++;
+  static _fenceRegions(input) {
+    const regions = [];
+    // Fences open and close at the start of a line, so ``` inside a JSON string is not one
+    const fence = /^[ \t]*```([\w.+-]*)([\s\S]*?)(?:\n[ \t]*```|(?![\s\S]))/gm;
+    let proseStart = 0;
+    let match;
+
+    while ((match = fence.exec(input)) !== null) {
+      if (match.index > proseStart) regions.push({ start: proseStart, end: match.index, language: null });
+      const contentStart = match.index + match[0].indexOf('```') + 3 + match[1].length;
+      regions.push({ start: contentStart, end: contentStart + match[2].length, language: match[1] });
+      proseStart = fence.lastIndex;
     }
+    if (proseStart < input.length) regions.push({ start: proseStart, end: input.length, language: null });
+    return regions;
+  }
 
-    return result;
+  /**
+   * Cheap check before ranking: text that is one document from its first character
+   * (the common case, including a large truncated one) holds no other candidate
+   * @private
+   */
+  static _mayHoldSeveralDocuments(input, { engine, mode } = {}) {
+    const trimmed = input.trim();
+    if (this._startsWithCall(trimmed, mode)) return false;
+    const first = trimmed[0];
+    if (first !== '{' && first !== '[') return !this.isValidJSON(trimmed);
+    const scanOptions = engine === 'parser' ? RepairingParser.scanOptions : undefined;
+    const close = this._findMatchingBracket(trimmed, 0, scanOptions);
+    return close !== -1 && close < trimmed.length - 1;
   }
 
   /**
-   * Close broken/unclosed strings
+   * Rank a candidate document; higher is better
+   * Every candidate already heals into valid JSON. A json fence tag counts most, then size
+   * (so a [1] citation loses to the object after it), then needing no repairs, then, for fenced
+   * candidates, being later in the text (an example fence usually comes before the real answer).
+   * Other ties go to the first candidate. A schema match outweighs all of these
+   * @private
+   * @param {{output: string, value: any, range: [number, number], language: string|null}} candidate
+   * @param {number} position - 0 for the first candidate, 1 for the last
+   * @param {object} [schema]
    */
-  static closeBrokenStrings(input) {
-    let result = '';
-    let i = 0;
-    let inString = false;
-    let stringContent = '';
+  static _scoreCandidate({ output, value, range, language }, position, schema) {
+    let score = Math.log10(output.length);
+    if (language !== null) score += (/^json[c5l]?$/i.test(language) ? 3 : 1) + position * 0.5;
+    if (range[1] - range[0] === output.length) score += 0.5; // Valid as written
+    if (schema) score += 10 * this._matchSchema(value, schema);
+    return score;
+  }
 
-    while (i < input.length) {
-      const char = input[i];
-      const prev = i > 0 ? input[i - 1] : '';
-
-      if (char === '"' && prev !== '\\') {
-        if (!inString) {
-          inString = true;
-          stringContent = '';
-          result += char;
-          i++;
-          continue;
-        } else {
-          inString = false;
-          stringContent = '';
-          result += char;
-          i++;
-          continue;
-        }
+  /**
+   * How well a value fits a JSON Schema subset (type, required, properties, items), from 0 to 1
+   * Only used to rank candidates, so it measures closeness rather than validating
+   * @private
+   */
+  static _matchSchema(value, schema) {
+    const type = value === null ? 'null' : Array.isArray(value) ? 'array' : typeof value;
+    if (schema.type && schema.type !== type && !(schema.type === 'integer' && Number.isInteger(value))) return 0;
+
+    let checks = schema.type ? 1 : 0;
+    let passed = checks;
+    if (type === 'object') {
+      for (const key of schema.required || []) {
+        checks++;
+        if (Object.prototype.hasOwnProperty.call(value, key)) passed++;
       }
-
-      if (inString) {
-        stringContent += char;
-        
-        // Check for patterns that suggest the string should have ended
-        // Pattern: comma-space-quote-word-quote-colon suggests broken string
-        if (char === ',' || char === ':') {
-          const remaining = input.slice(i);
-          // Look for pattern like: , "key": or similar that suggests we're outside string
-          const breakPattern = remaining.match(/^,\s*"[^"]+"\s*:/);
-          if (breakPattern) {
-            // Insert closing quote before the comma
-            result += '"';
-            inString = false;
-            stringContent = '';
-            // Continue without incrementing - let normal processing handle the comma
-            continue;
-          }
-        }
-        
-        result += char;
-        i++;
-        continue;
+      // A described property that is missing counts against the fit, even if optional
+      for (const [key, property] of Object.entries(schema.properties || {})) {
+        checks++;
+        if (Object.prototype.hasOwnProperty.call(value, key)) passed += this._matchSchema(value[key], property);
       }
-
-      result += char;
-      i++;
-    }
-
-    // Close any unclosed string at end
-    if (inString) {
-      result += '"';
+    } else if (type === 'array' && schema.items && value.length) {
+      checks++;
+      passed += this._matchSchema(value[0], schema.items);
     }
-
-    return result;
+    return checks ? passed / checks : 1;
   }
 
   /**
-   * Balance brackets and braces using a proper stack
+   * Brackets around plain words ([note], [see below]) are prose, though quoteBareValues would make
+   * them an array of strings
+   * @private
    */
-  static balanceBrackets(input) {
-    let result = input.trim();
-
-    // Track bracket stack to know the correct closing order
-    const stack = [];
-    let inString = false;
+  static _isBracketedProse(source) {
+    return /^\[[^\d"'{}[\]:]*\p{L}[^\d"'{}[\]:]*\]$/u.test(source) && !/\b(true|false|null)\b/.test(source);
+  }
 
-    for (let i = 0; i < result.length; i++) {
-      const char = result[i];
-      const prev = i > 0 ? result[i - 1] : '';
+  /**
+   * @private
+   */
+  static _hasBracketedProse(text) {
+    return (text.match(/\[[^[\]]*\]/g) || []).some(brackets => this._isBracketedProse(brackets));
+  }
 
-      if (char === '"' && prev !== '\\') {
-        inString = !inString;
-        continue;
-      }
+  /**
+   * Index of the first { or [ at or after from, or -1
+   * @private
+   */
+  static _nextOpener(str, from) {
+    const object = str.indexOf('{', from);
+    const array = str.indexOf('[', from);
+    if (object === -1) return array;
+    return array === -1 ? object : Math.min(object, array);
+  }
 
-      if (!inString) {
-        if (char === '{') {
-          stack.push('{');
-        } else if (char === '[') {
-          stack.push('[');
-        } else if (char === '}') {
-          // Find matching open brace
-          for (let j = stack.length - 1; j >= 0; j--) {
-            if (stack[j] === '{') {
-              stack.splice(j, 1);
-              break;
-            }
-          }
-        } else if (char === ']') {
-          // Find matching open bracket
-          for (let j = stack.length - 1; j >= 0; j--) {
-            if (stack[j] === '[') {
-              stack.splice(j, 1);
-              break;
-            }
-          }
-        }
-      }
-    }
+  /**
+   * Count brackets outside of strings
+   * @private
+   */
+  static _countBrackets(str) {
+    const counts = { openBraces: 0, closeBraces: 0, openBrackets: 0, closeBrackets: 0 };
+    const keys = { '{': 'openBraces', '}': 'closeBraces', '[': 'openBrackets', ']': 'closeBrackets' };
+    const tokens = Tokenizer.scan(str);
 
-    // Add missing closing brackets in reverse stack order (LIFO)
-    while (stack.length > 0) {
-      const open = stack.pop();
-      result += open === '{' ? '}' : ']';
+    for (let i = 0; i < tokens.length; i++) {
+      if (tokens.isPunctuation(i, '{}[]')) counts[keys[str[tokens.start(i)]]]++;
     }
 
-    // Handle extra closing brackets by removing them
-    // Re-scan to find unmatched closers
-    const finalStack = [];
-    let finalInString = false;
-    let toRemove = [];
+    return counts;
+  }
 
-    for (let i = 0; i < result.length; i++) {
-      const char = result[i];
-      const prev = i > 0 ? result[i - 1] : '';
+  /**
+   * Cheap rejection before a full parse: text that opens with { or [ must end with the matching closer
+   * Saves parsing a large truncated document to its end just to learn it is incomplete
+   * @private
+   */
+  static _isUnclosed(str) {
+    let first = 0;
+    let last = str.length - 1;
+    while (first <= last && Tokenizer.isWhitespaceAt(str, first)) first++;
+    while (last > first && Tokenizer.isWhitespaceAt(str, last)) last--;
+    const opener = str[first];
+    return (opener === '{' && str[last] !== '}') || (opener === '[' && str[last] !== ']');
+  }
 
-      if (char === '"' && prev !== '\\') {
-        finalInString = !finalInString;
-        continue;
-      }
+  /**
+   * Cheap guard for token-level strategies: false only when no match for pattern can exist
+   * Comments may sit between the tokens a pattern looks for, so a miss only counts without any '/'
+   * @private
+   */
+  static _mayContain(input, pattern) {
+    return pattern.test(input) || input.includes('/');
+  }
 
-      if (!finalInString) {
-        if (char === '{' || char === '[') {
-          finalStack.push({ char, index: i });
-        } else if (char === '}') {
-          let found = false;
-          for (let j = finalStack.length - 1; j >= 0; j--) {
-            if (finalStack[j].char === '{') {
-              finalStack.splice(j, 1);
-              found = true;
-              break;
-            }
-          }
-          if (!found) toRemove.push(i);
-        } else if (char === ']') {
-          let found = false;
-          for (let j = finalStack.length - 1; j >= 0; j--) {
-            if (finalStack[j].char === '[') {
-              finalStack.splice(j, 1);
-              found = true;
-              break;
-            }
-          }
-          if (!found) toRemove.push(i);
-        }
-      }
+  /**
+   * Where the member or element starting at token index begins: at its separating comma, just
+   * after the opener of its container, or just after the previous value when the comma is missing
+   * (-1 outside any container)
+   * @private
+   */
+  static _trailingElementStart(tokens, index) {
+    for (let i = tokens.previousSignificant(index); i !== -1; i = tokens.previousSignificant(i)) {
+      if (tokens.isPunctuation(i, ',')) return tokens.start(i);
+      if (tokens.isPunctuation(i, '{[')) return tokens.end(i);
+      // The member's own key and colon belong to it
+      if (tokens.isPunctuation(i, ':') || tokens.isPunctuation(tokens.nextSignificant(i), ':')) continue;
+      return tokens.end(i);
     }
+    return -1;
+  }
 
-    // Remove unmatched closing brackets from end
-    if (toRemove.length > 0) {
-      toRemove.sort((a, b) => b - a); // Sort descending to remove from end first
-      for (const idx of toRemove) {
-        result = result.slice(0, idx) + result.slice(idx + 1);
+  /**
+   * Token index of the innermost opener still open at token index (-1 if none)
+   * @private
+   */
+  static _enclosingOpener(tokens, index) {
+    let depth = 0;
+    for (let i = index; i >= 0; i--) {
+      if (tokens.isPunctuation(i, '}]')) {
+        depth++;
+      } else if (tokens.isPunctuation(i, '{[')) {
+        if (depth === 0) return i;
+        depth--;
       }
     }
-
-    return result;
+    return -1;
   }
 
   /**
-   * Fix missing commas between elements
+   * Offset to cut a truncated document at under the 'drop-incomplete' policy, or -1
+   * Below the root, an object left open is dropped as a whole (no half records) while an open
+   * array keeps its finished elements; an unfinished value at the very end is dropped too, and
+   * a comma nothing followed is dropped on its own
+   * @param {TokenList} tokens
+   * @param {number[]} open - Token indices of the openers left unclosed, in order
+   * @private
    */
-  static fixMissingCommas(input) {
-    let result = input;
-    
-    // Fix missing comma between } and {
-    result = result.replace(/}(\s*){/g, '},$1{');
-    // Fix missing comma between ] and [
-    result = result.replace(/](\s*)\[/g, '],$1[');
-    // Fix missing comma between } and "
-    result = result.replace(/}(\s*)"/g, '},$1"');
-    // Fix missing comma between ] and "
-    result = result.replace(/](\s*)"/g, '],$1"');
-    // Fix missing comma between " and {
-    result = result.replace(/"(\s*){/g, '",$1{');
-    // Fix missing comma between " and [
-    result = result.replace(/"(\s*)\[/g, '",$1[');
-    // Fix missing comma between values: "value" "next" or "value""next"
-    result = result.replace(/"(\s+)"/g, '",$1"');
-    // Fix missing comma between number and "
-    result = result.replace(/(\d)(\s+)"/g, '$1,$2"');
-    // Fix missing comma between " and number
-    result = result.replace(/"(\s+)(-?\d)/g, '",$1$2');
-    // Fix missing comma between numbers (but not in strings)
-    result = this._fixMissingCommasBetweenNumbers(result);
-    // Fix missing comma between literals (true, false, null)
-    result = this._fixMissingCommasBetweenLiterals(result);
-    // Fix missing comma between ] and number
-    result = result.replace(/](\s+)(\d)/g, '],$1$2');
-    // Fix missing comma between number and [
-    result = result.replace(/(\d)(\s+)\[/g, '$1,$2[');
-    // Fix missing comma between number and {
-    result = result.replace(/(\d)(\s+){/g, '$1,$2{');
-    // Fix missing comma between } and number
-    result = result.replace(/}(\s+)(\d)/g, '},$1$2');
-    // Fix missing comma between } and literal
-    result = result.replace(/}(\s+)(true|false|null)\b/g, '},$1$2');
-    // Fix missing comma between literal and {
-    result = result.replace(/\b(true|false|null)(\s+){/g, '$1,$2{');
-    // Fix missing comma between ] and literal
-    result = result.replace(/](\s+)(true|false|null)\b/g, '],$1$2');
-    // Fix missing comma between literal and [
-    result = result.replace(/\b(true|false|null)(\s+)\[/g, '$1,$2[');
-    // Fix missing comma between " and literal
-    result = result.replace(/"(\s+)(true|false|null)\b/g, '",$1$2');
-    // Fix missing comma between literal and "
-    result = result.replace(/\b(true|false|null)(\s+)"/g, '$1,$2"');
+  static _truncationCut(tokens, open) {
+    if (!open.length) return -1;
+    for (let depth = 1; depth < open.length; depth++) {
+      if (tokens.isPunctuation(open[depth], '{')) return this._trailingElementStart(tokens, open[depth]);
+    }
 
-    return result;
+    // Innermost open container: drop its last element if the cut may have ended it early
+    const innermost = open[open.length - 1];
+    let last = tokens.length - 1;
+    while (last > innermost && !tokens.isSignificant(last)) last--;
+    if (last === innermost || tokens.isPunctuation(last, '}]')) return -1;
+    // Nothing followed the last comma; only the comma goes
+    if (tokens.isPunctuation(last, ',')) return tokens.start(last);
+
+    const previous = tokens.previousSignificant(last);
+    const complete = tokens.isString(last) && tokens.closed(last) &&
+      (tokens.isPunctuation(innermost, '[') || tokens.isPunctuation(previous, ':'));
+    return complete ? -1 : this._trailingElementStart(tokens, last);
   }
 
   /**
-   * Fix missing commas between numbers in arrays (outside strings)
+   * Whether a value has something at the given path segments
+   * @private
    */
-  static _fixMissingCommasBetweenNumbers(input) {
-    let result = '';
-    let i = 0;
-    let inString = false;
-    let inArray = 0;
-
-    while (i < input.length) {
-      const char = input[i];
-
-      if (char === '"' && (i === 0 || input[i - 1] !== '\\')) {
-        inString = !inString;
-        result += char;
-        i++;
-        continue;
-      }
-
-      if (inString) {
-        result += char;
-        i++;
-        continue;
-      }
-
-      if (char === '[') inArray++;
-      if (char === ']') inArray--;
-
-      // Look for number followed by whitespace followed by another number (only in arrays)
-      if (inArray > 0 && /[\d.]/.test(char)) {
-        // Collect the full number
-        let numStr = '';
-        let j = i;
-        while (j < input.length && /[\d.eE+-]/.test(input[j])) {
-          numStr += input[j];
-          j++;
-        }
-        result += numStr;
-        i = j;
-
-        // Check for whitespace followed by another number or minus sign starting a number
-        const afterNum = input.slice(i).match(/^(\s+)(-?[\d.])/);
-        if (afterNum) {
-          result += ',' + afterNum[1];
-          i += afterNum[1].length;
-        }
-        continue;
-      }
-
-      result += char;
-      i++;
+  static _hasPath(value, segments) {
+    let current = value;
+    for (const segment of segments) {
+      if (current === null || typeof current !== 'object' || !Object.prototype.hasOwnProperty.call(current, segment)) return false;
+      current = current[segment];
     }
+    return true;
+  }
 
-    return result;
+  /**
+   * Whether text holds a `"key":` pair (a quoted string followed by a colon)
+   * @private
+   */
+  static _hasKeys(text) {
+    const tokens = Tokenizer.scan(text);
+    for (let i = 0; i < tokens.length; i++) {
+      if (tokens.isString(i) && tokens.isPunctuation(tokens.nextSignificant(i), ':')) return true;
+    }
+    return false;
   }
 
   /**
-   * Fix missing commas between literals in arrays
+   * Whether a closed string's content ends with a comma (plus whitespace)
+   * @private
    */
-  static _fixMissingCommasBetweenLiterals(input) {
-    let result = '';
-    let i = 0;
-    let inString = false;
-    let inArray = 0;
+  static _hasCommaEndedString(tokens) {
+    const input = tokens.input;
+    for (let i = 0; i < tokens.length; i++) {
+      if (!tokens.isString(i) || !tokens.closed(i)) continue;
+      let j = tokens.end(i) - 2;
+      while (j > tokens.start(i) && Tokenizer.isWhitespaceAt(input, j)) j--;
+      if (j > tokens.start(i) && input[j] === ',') return true;
+    }
+    return false;
+  }
 
-    while (i < input.length) {
-      const char = input[i];
+  /**
+   * Whether token i can start a value (string, object, array, number or literal)
+   * @private
+   */
+  static _startsValue(tokens, i) {
+    if (tokens.isString(i)) return true;
+    if (tokens.isWord(i)) return this._isValueWord(tokens.value(i));
+    return tokens.isPunctuation(i, '{[');
+  }
 
-      if (char === '"' && (i === 0 || input[i - 1] !== '\\')) {
-        inString = !inString;
-        result += char;
-        i++;
-        continue;
-      }
+  /**
+   * Whether token i can end a value
+   * @private
+   */
+  static _endsValue(tokens, i) {
+    if (tokens.isString(i)) return tokens.closed(i);
+    if (tokens.isWord(i)) return this._isValueWord(tokens.value(i));
+    return tokens.isPunctuation(i, '}]');
+  }
 
-      if (inString) {
-        result += char;
-        i++;
-        continue;
-      }
+  /**
+   * Number-like words and JSON literals
+   * @private
+   */
+  static _isValueWord(word) {
+    return /^-?\.?\d/.test(word) || word === 'true' || word === 'false' || word === 'null';
+  }
 
-      if (char === '[') inArray++;
-      if (char === ']') inArray--;
-
-      // Look for literal followed by whitespace followed by another literal/value
-      if (inArray > 0) {
-        const remaining = input.slice(i);
-        const literalMatch = remaining.match(/^(true|false|null)\b/);
-        if (literalMatch) {
-          result += literalMatch[1];
-          i += literalMatch[1].length;
-
-          // Check for whitespace followed by another value
-          const afterLiteral = input.slice(i).match(/^(\s+)(true|false|null|"|-?[\d.]|\[|{)/);
-          if (afterLiteral) {
-            result += ',' + afterLiteral[1];
-            i += afterLiteral[1].length;
-          }
-          continue;
-        }
+  /**
+   * Call a strategy; when recording, also get the hunks of the TextPatch that made its result
+   * Hunks are undefined when no patch did (a custom strategy, a mode converter); the report then
+   * diffs the stage instead
+   * @private
+   */
+  static _applyStrategy(strategy, input, options, record) {
+    if (!record) return { result: strategy.call(this, input, options) };
+    const { result, patches } = TextPatch.collect(() => strategy.call(this, input, options));
+    for (let i = patches.length - 1; i >= 0; i--) {
+      if (patches[i].source === input && patches[i].changed && patches[i].toString() === result) {
+        return { result, hunks: patches[i].hunks() };
       }
-
-      result += char;
-      i++;
     }
-
-    return result;
+    return { result };
   }
 
   /**
-   * Aggressive repair - applies all strategies and attempts reconstruction
+   * Turn recorded pipeline stages into repairs located in the original input
+   * @private
    */
-  static aggressiveRepair(input) {
-    let result = input;
-
-    // Apply all strategies in sequence
-    for (const strategyName of this.strategies) {
-      const strategy = this[strategyName];
-      if (typeof strategy === 'function') {
-        try {
-          result = strategy.call(this, result);
-        } catch {
-          // Continue
+  static _buildRepairs(stages, layers) {
+    const repairs = [];
+
+    stages.forEach((stage, index) => {
+      for (const hunk of layers[index]) {
+        let start = hunk.start;
+        let end = hunk.end;
+        // Walk back through earlier stages to original input offsets
+        for (let s = index - 1; s >= 0; s--) {
+          start = HealSourceMap.mapOffset(layers[s], start, 'start');
+          end = HealSourceMap.mapOffset(layers[s], end, 'end');
         }
+        // Parser hunks carry the strategy that made each edit
+        const strategy = hunk.strategy || stage.strategy;
+        repairs.push({
+          strategy,
+          description: this.strategyDescriptions[strategy] || `Applied strategy "${strategy}"`,
+          risk: this._classifyRisk(strategy, stage.before.slice(hunk.start, hunk.end), hunk.replacement, stage.before, hunk),
+          originalRange: [start, end],
+          replacement: hunk.replacement,
+        });
       }
-    }
+    });
 
-    // Ensure it starts and ends with proper characters
-    result = result.trim();
+    return repairs;
+  }
 
-    if (!result.startsWith('{') && !result.startsWith('[')) {
-      // Wrap in object if it looks like key-value pairs
-      if (/"[\w]+":\s*/.test(result)) {
-        result = '{' + result + '}';
+  /**
+   * Risk level of a single repair; refines the strategy default where the edit itself tells more.
+   * A diffed hunk can hold several edits, so the checks look for the risky part anywhere in it;
+   * where an edit is only inserted quotes, the text it was made in tells what they quoted
+   * @private
+   */
+  static _classifyRisk(strategy, removed, replacement, before = '', { start = 0, end = 0 } = {}) {
+    const adds = pattern => this._count(replacement, pattern) > this._count(removed, pattern);
+    switch (strategy) {
+      case 'fixPythonLiterals':
+        // True/False/None keep their meaning; NaN, Infinity and undefined become null
+        return /\b(NaN|Infinity|undefined)\b/.test(removed) ? 'data-altering' : 'cosmetic';
+      case 'convertJson5Numbers':
+        // NaN has no JSON form
+        return adds(/\bnull\b/g) ? 'data-altering' : 'cosmetic';
+      case 'convertPythonRepr': {
+        // nan and complex numbers have no JSON form either; quotes (not requoting) make the latter strings
+        const quoted = adds(/"/g) && !/['"]/.test(removed) && PythonRepr.touchesComplex(before, start, end);
+        return (/nan/i.test(removed) && adds(/\bnull\b/g)) || quoted ? 'data-altering' : 'cosmetic';
+      }
+      case 'convertJsLiterals':
+        // undefined, functions, symbols, NaN and invalid dates become null; dropped spreads and properties are lost
+        return adds(/\bnull\b/g) || (!replacement && /[^\s;]/.test(removed.replace(/\/\/.*|\/\*[\s\S]*?(?:\*\/|$)/g, ''))) ? 'data-altering' : 'cosmetic';
+      case 'escapeInnerQuotes':
+        // An inserted closing quote guesses where a string that never closed ends
+        return adds(/(?<!\\)"/g) ? 'data-altering' : 'structural';
+      case 'fixInvalidEscapes': {
+        // Escapes with a meaning, and 'keep', lose nothing; 'replace' and 'remove' do
+        const kept = Tokenizer.fixInvalidEscapes(removed, 'keep');
+        return replacement === kept || kept === Tokenizer.fixInvalidEscapes(removed, 'remove') ? 'cosmetic' : 'data-altering';
       }
+      case 'selectCandidate':
+        // The text around the chosen document may hold the others
+        return this.extractAll(removed).length ? 'data-altering' : 'cosmetic';
+      case 'extractFromMarkdown':
+      case 'extractFromMixedText':
+        // Dropping text that holds JSON-like content may discard data
+        return /[\[\]{}]/.test(removed) ? 'data-altering' : 'cosmetic';
+      case 'balanceBrackets':
+      case 'aggressiveRepair':
+        // Closing brackets is structural, deleting them is not
+        return removed.trim() && !replacement ? 'data-altering' : 'structural';
+      default:
+        return this.strategyRisks[strategy] || 'structural';
     }
-
-    // Final bracket balance
-    result = this.balanceBrackets(result);
-
-    return result;
   }
 
   /**
-   * Apply all strategies (legacy compatibility)
+   * Number of matches of a global pattern in text
+   * @private
    */
-  static applyAllStrategies(input) {
-    return this.aggressiveRepair(input);
+  static _count(text, pattern) {
+    return (text.match(pattern) || []).length;
   }
 
   /**
-   * Register a custom healing strategy
-   * @param {string} name - Strategy name
-   * @param {Function} strategy - Strategy function (receives input, returns output)
-   * @param {number} [priority] - Optional index position (lower = runs earlier)
+   * Confidence (0-1) in a heal: each strategy costs once per risk level it touched
+   * @private
    */
-  static registerStrategy(name, strategy, priority) {
-    if (typeof strategy !== 'function') {
-      throw new Error('Strategy must be a function');
+  static _scoreConfidence(repairs, valid, fallbackUsed) {
+    if (!valid) return 0;
+
+    let confidence = fallbackUsed ? 0.8 : 1;
+    const seen = new Set();
+    for (const repair of repairs) {
+      const key = `${repair.strategy}:${repair.risk}`;
+      if (seen.has(key)) continue;
+      seen.add(key);
+      confidence *= this.riskWeights[repair.risk] ?? this.riskWeights.structural;
     }
 
-    this[name] = strategy;
+    return Math.round(confidence * 1000) / 1000;
+  }
 
-    // Remove existing if present
-    const existingIdx = this.strategies.indexOf(name);
-    if (existingIdx !== -1) {
-      this.strategies.splice(existingIdx, 1);
+  /**
+   * Compute the edits that turn `before` into `after`
+   * Returns sorted hunks: { start, end, outStart, outEnd, replacement }
+   * @private
+   */
+  static _diff(before, after) {
+    if (before === after) return [];
+
+    const minLen = Math.min(before.length, after.length);
+    let prefix = 0;
+    while (prefix < minLen && before[prefix] === after[prefix]) prefix++;
+    let suffix = 0;
+    while (suffix < minLen - prefix && before[before.length - 1 - suffix] === after[after.length - 1 - suffix]) {
+      suffix++;
     }
 
-    if (typeof priority === 'number' && priority >= 0) {
-      this.strategies.splice(Math.min(priority, this.strategies.length), 0, name);
+    const a = before.slice(prefix, before.length - suffix);
+    const b = after.slice(prefix, after.length - suffix);
+    let edits;
+
+    if (!a || !b) {
+      edits = [{ start: 0, end: a.length, replacement: b }];
+    } else if (b.length < a.length && a.indexOf(b) !== -1) {
+      // Pure extraction: text removed around the kept span
+      const idx = a.indexOf(b);
+      edits = [
+        { start: 0, end: idx, replacement: '' },
+        { start: idx + b.length, end: a.length, replacement: '' },
+      ];
+    } else if (a.length < b.length && b.indexOf(a) !== -1) {
+      // Pure wrapping: text added around the kept span
+      const idx = b.indexOf(a);
+      edits = [
+        { start: 0, end: 0, replacement: b.slice(0, idx) },
+        { start: a.length, end: a.length, replacement: b.slice(idx + a.length) },
+      ];
     } else {
-      this.strategies.push(name);
+      edits = this._anchoredDiff(a, b);
     }
+
+    let delta = prefix;
+    const hunks = [];
+    for (const edit of edits) {
+      if (edit.start === edit.end && !edit.replacement) continue;
+      const hunk = {
+        start: edit.start + prefix,
+        end: edit.end + prefix,
+        outStart: edit.start + delta,
+        outEnd: edit.start + delta + edit.replacement.length,
+        replacement: edit.replacement,
+      };
+      delta += edit.replacement.length - (edit.end - edit.start);
+      hunks.push(hunk);
+    }
+
+    return this._expandToWords(before, after, hunks);
   }
 
   /**
-   * Remove a strategy
-   * @param {string} name - Strategy name to remove
+   * Myers diff of a and b; where that needs too many edits, both are split at text they share
+   * near the middle and each half is diffed the same way, so a large text keeps one hunk per change
+   * @private
    */
-  static removeStrategy(name) {
-    const idx = this.strategies.indexOf(name);
-    if (idx !== -1) {
-      this.strategies.splice(idx, 1);
-    }
-    delete this[name];
+  static _anchoredDiff(a, b) {
+    const edits = this._myersDiff(a, b, 256);
+    if (edits) return edits;
+
+    const anchor = this._diffAnchor(a, b);
+    if (!anchor) return [{ start: 0, end: a.length, replacement: b }];
+    const { aStart, bStart, length } = anchor;
+    const shift = aStart + length;
+    return [
+      ...this._anchoredDiff(a.slice(0, aStart), b.slice(0, bStart)),
+      ...this._anchoredDiff(a.slice(shift), b.slice(bStart + length))
+        .map(edit => ({ ...edit, start: edit.start + shift, end: edit.end + shift })),
+    ];
   }
 
-  // ==================== HELPER METHODS ====================
-
   /**
-   * Find matching closing bracket using stack-based approach
+   * A stretch of a near its middle that b has at about the same relative position, or null.
+   * Long stretches are tried first; only a window around the expected position is searched.
    * @private
    */
-  static _findMatchingBracket(str, startIdx, openChar, closeChar) {
-    let depth = 0;
-    let inString = false;
-    let i = startIdx;
-
-    while (i < str.length) {
-      const char = str[i];
-      const prev = i > 0 ? str[i - 1] : '';
-
-      // Track string state
-      if (char === '"' && prev !== '\\') {
-        inString = !inString;
+  static _diffAnchor(a, b) {
+    const middle = Math.floor(a.length / 2);
+    const drift = Math.abs(a.length - b.length) + 64;
+    for (const length of [16, 8, 4]) {
+      // Try stretches ever further from the middle, alternating sides
+      for (let step = 0; step < middle; step += length) {
+        for (const aStart of [middle + step, middle - step - length]) {
+          if (aStart <= 0 || aStart + length >= a.length) continue;
+          const expected = Math.round(aStart * b.length / a.length);
+          const from = Math.max(0, expected - drift);
+          const window = b.slice(from, expected + drift + length);
+          const piece = a.slice(aStart, aStart + length);
+          const after = window.indexOf(piece, expected - from);
+          const before = window.lastIndexOf(piece, expected - from);
+          const found = after !== -1 && (before === -1 || after - (expected - from) < (expected - from) - before) ? after : before;
+          if (found !== -1) return { aStart, bStart: from + found, length };
+        }
       }
+    }
+    return null;
+  }
 
-      if (!inString) {
-        if (char === openChar) {
-          depth++;
-        } else if (char === closeChar) {
-          depth--;
-          if (depth === 0) {
-            return i;
-          }
+  /**
+   * Myers O(ND) diff; returns null if more than maxEdits edits are needed
+   * @private
+   */
+  static _myersDiff(a, b, maxEdits) {
+    const n = a.length;
+    const m = b.length;
+    const max = Math.min(n + m, maxEdits);
+    const offset = max + 1;
+    const v = new Array(2 * max + 3).fill(0);
+    const trace = [];
+
+    let found = false;
+    for (let d = 0; d <= max && !found; d++) {
+      trace.push(v.slice());
+      for (let k = -d; k <= d; k += 2) {
+        let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]))
+          ? v[offset + k + 1]
+          : v[offset + k - 1] + 1;
+        let y = x - k;
+        while (x < n && y < m && a[x] === b[y]) {
+          x++;
+          y++;
+        }
+        v[offset + k] = x;
+        if (x >= n && y >= m) {
+          found = true;
+          break;
         }
       }
-
-      i++;
+    }
+    if (!found) return null;
+
+    // Backtrack to collect single-character operations
+    const ops = [];
+    let x = n;
+    let y = m;
+    for (let d = trace.length - 1; d > 0; d--) {
+      const prev = trace[d];
+      const k = x - y;
+      const prevK = (k === -d || (k !== d && prev[offset + k - 1] < prev[offset + k + 1])) ? k + 1 : k - 1;
+      const prevX = prev[offset + prevK];
+      const prevY = prevX - prevK;
+      while (x > prevX && y > prevY) {
+        x--;
+        y--;
+      }
+      ops.push(x === prevX ? { pos: prevX, insert: b[prevY] } : { pos: prevX, insert: null });
+      x = prevX;
+      y = prevY;
     }
 
-    return -1;
+    // Merge adjacent operations into edits
+    const edits = [];
+    for (let i = ops.length - 1; i >= 0; i--) {
+      const op = ops[i];
+      let last = edits[edits.length - 1];
+      if (!last || op.pos !== last.end) {
+        last = { start: op.pos, end: op.pos, replacement: '' };
+        edits.push(last);
+      }
+      if (op.insert === null) {
+        last.end++;
+      } else {
+        last.replacement += op.insert;
+      }
+    }
+    return edits;
   }
 
   /**
-   * Count brackets outside of strings
+   * Widen hunks that touch word characters to whole words (True -> true, not T -> t)
+   * Only a side where the change itself is part of a word is widened, so removing a comment
+   * does not take the value next to it along
    * @private
    */
-  static _countBrackets(str) {
-    let openBraces = 0;
-    let closeBraces = 0;
-    let openBrackets = 0;
-    let closeBrackets = 0;
-    let inString = false;
-
-    for (let i = 0; i < str.length; i++) {
-      const char = str[i];
-      const prev = i > 0 ? str[i - 1] : '';
-
-      if (char === '"' && prev !== '\\') {
-        inString = !inString;
-        continue;
+  static _expandToWords(before, after, hunks) {
+    const expanded = [];
+
+    for (let i = 0; i < hunks.length; i++) {
+      let { start, end, outStart, outEnd } = hunks[i];
+      const removed = before.slice(start, end);
+      const { replacement } = hunks[i];
+      const floor = expanded.length ? expanded[expanded.length - 1].end : 0;
+      const ceiling = i + 1 < hunks.length ? hunks[i + 1].start : before.length;
+
+      if (/^\w/.test(removed) || /^\w/.test(replacement)) {
+        while (start > floor && /\w/.test(before[start - 1])) {
+          start--;
+          outStart--;
+        }
       }
-
-      if (!inString) {
-        switch (char) {
-          case '{': openBraces++; break;
-          case '}': closeBraces++; break;
-          case '[': openBrackets++; break;
-          case ']': closeBrackets++; break;
+      if (/\w$/.test(removed) || /\w$/.test(replacement)) {
+        while (end < ceiling && /\w/.test(before[end])) {
+          end++;
+          outEnd++;
         }
       }
+
+      const last = expanded[expanded.length - 1];
+      if (last && start <= last.end) {
+        last.end = end;
+        last.outEnd = outEnd;
+      } else {
+        expanded.push({ start, end, outStart, outEnd });
+      }
     }
 
-    return { openBraces, closeBraces, openBrackets, closeBrackets };
+    for (const hunk of expanded) {
+      hunk.replacement = after.slice(hunk.outStart, hunk.outEnd);
+    }
+    return expanded;
   }
 
   /**
    * Replace patterns only outside of quoted strings
-   * FIXED: Uses non-global regex patterns for proper index checking
+   * Patterns are anchored (^) and matched at the start of each bare word
    * @private
    */
   static _replaceOutsideStrings(input, replacements) {
-    let result = '';
-    let i = 0;
-    let inString = false;
-
-    while (i < input.length) {
-      const char = input[i];
-
-      if (char === '"' && (i === 0 || input[i - 1] !== '\\')) {
-        inString = !inString;
-        result += char;
-        i++;
-        continue;
-      }
+    // Most inputs contain none of the patterns anywhere; skip the scan for those
+    const anywhere = new RegExp(replacements.map(([pattern]) => pattern.source.replace(/^\^/, '')).join('|'));
+    if (!anywhere.test(input)) return input;
 
-      if (inString) {
-        result += char;
-        i++;
-        continue;
-      }
+    const tokens = Tokenizer.scan(input);
+    const patch = new TextPatch(input);
+    for (let i = 0; i < tokens.length; i++) {
+      if (!tokens.isWord(i)) continue;
+      const word = tokens.value(i);
 
       // Try each replacement
-      let matched = false;
       for (const [pattern, replacement] of replacements) {
-        const remaining = input.slice(i);
-        // Pattern should be anchored to start (^) for proper matching
-        const match = remaining.match(pattern);
+        const match = word.match(pattern);
         if (match && match.index === 0) {
-          result += replacement;
-          i += match[0].length;
-          matched = true;
+          patch.replace(tokens.start(i), tokens.start(i) + match[0].length, replacement);
           break;
         }
       }
-
-      if (!matched) {
-        result += char;
-        i++;
-      }
     }
-
-    return result;
+    return patch.toString();
   }
 }
 
+export { HealError, HealingStream, HealSourceMap, NdjsonHealer, RepairingParser, Tokenizer };
 export default JsonHealer;
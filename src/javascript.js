@@ -0,0 +1,422 @@
+import { Json5 } from './json5.js';
+import { TextPatch } from './text-patch.js';
+
+/**
+ * JsLiteral - converts JavaScript object literals to JSON text
+ * Lexes JavaScript (template literals, regular expressions and comments included) and rewrites
+ * the tokens in place, so the layout is kept: strings become double-quoted, keys are quoted,
+ * `new Date(...)` becomes its ISO string, regexes their source text, functions and symbols are
+ * treated like undefined, and spread elements and semicolons are dropped. Anything it cannot convert is left for the other repairs.
+ */
+export class JsLiteral {
+  // Token patterns, tried in order at each position (strings and regexes are recognized separately)
+  static _patterns = [
+    ['whitespace', /\s+/y],
+    ['comment', /\/\/[^\n\r\u2028\u2029]*|\/\*[\s\S]*?(?:\*\/|$)/y],
+    ['spread', /\.\.\./y],
+    ['number', /[+-]?(?:Infinity|NaN|0[xX][\da-fA-F_]+|0[oO][0-7_]+|0[bB][01_]+|(?:\d[\d_]*(?:\.[\d_]*)?|\.\d[\d_]*)(?:[eE][+-]?\d[\d_]*)?)n?(?![\p{ID_Continue}$])/uy],
+    ['identifier', /(?:[\p{ID_Start}$_]|\\u[\da-fA-F]{4})(?:[\p{ID_Continue}$\u200c\u200d]|\\u[\da-fA-F]{4})*/uy],
+  ];
+
+  // After these a / starts a regular expression rather than a division
+  static _regexAfter = new Set(['(', '[', '{', ',', ':', ';', '=', '!', '&', '|', '?', '+', '-', '*', '%', '<', '>', '~', '^']);
+
+  /**
+   * @param {string} input
+   * @param {object} [options]
+   * @param {boolean} [options.omitUndefined=false] - Drop properties whose value is undefined, a function
+   *   or a symbol, as JSON.stringify does, instead of writing null (array elements always become null)
+   * @returns {string}
+   */
+  static convert(input, { omitUndefined = false } = {}) {
+    return new JsLiteral(input, omitUndefined).convert();
+  }
+
+  /**
+   * @param {string} input
+   * @param {boolean} omitUndefined
+   */
+  constructor(input, omitUndefined) {
+    this.input = input;
+    this.tokens = JsLiteral._lex(input);
+    this.output = this.tokens.map(token => token.text); // Replacement text, by token
+    this.omitUndefined = omitUndefined;
+  }
+
+  /**
+   * @returns {string}
+   */
+  convert() {
+    const { tokens } = this;
+    const containers = []; // Open brackets
+
+    for (let i = 0; i < tokens.length; i++) {
+      const { type, text } = tokens[i];
+      const previous = this._previousSignificant(i);
+      const next = this._nextSignificant(i);
+      const isKey = containers[containers.length - 1] === '{' && this._is(next, ':') && (previous === -1 || this._is(previous, '{,'));
+
+      switch (type) {
+        case 'punctuation':
+          if (text === '(' && this._functionEnd(i) !== -1) i = this._dropValue(i, this._functionEnd(i), containers);
+          else if ('{[('.includes(text)) containers.push(text);
+          else if ('}])'.includes(text)) containers.pop();
+          else if (text === ';') this.output[i] = '';
+          break;
+        case 'whitespace':
+          this.output[i] = Json5.whitespace(text);
+          break;
+        case 'comment':
+          this.output[i] = '';
+          break;
+        case 'string':
+          this.output[i] = '"' + Json5.string(tokens[i].content) + (tokens[i].closed ? '"' : '');
+          break;
+        case 'regex':
+          this.output[i] = JSON.stringify(text);
+          break;
+        case 'number': {
+          const number = JsLiteral._number(text);
+          // A number key is the string of its value
+          if (number === null) break;
+          this.output[i] = isKey ? JSON.stringify(String(Number(number))) : number;
+          break;
+        }
+        case 'spread':
+          i = this._removeElement(i, this._valueEnd(i));
+          break;
+        case 'identifier':
+          if (isKey) {
+            this.output[i] = Json5.identifier(text) ?? text;
+          } else if (text === 'undefined') {
+            i = this._dropValue(i, i, containers);
+          } else if (this._functionEnd(i) !== -1) {
+            i = this._dropValue(i, this._functionEnd(i), containers);
+          } else if (containers[containers.length - 1] === '{' && this._is(previous, '{,') && this._methodEnd(i) !== -1) {
+            i = this._dropMethod(i, this._methodEnd(i));
+          } else if (text === 'new' && tokens[next]?.text === 'Date' && this._is(this._nextSignificant(next), '(')) {
+            i = this._convertDate(i, this._nextSignificant(next));
+          }
+          break;
+      }
+    }
+
+    // Tokens cover the input end to end; a patch of the changed ones lets reports list each edit.
+    // Tokens removed right after a changed one belong to its edit (a function written as null is one)
+    const patch = new TextPatch(this.input);
+    let offset = 0;
+    for (let i = 0; i < tokens.length; i++) {
+      const start = offset;
+      offset += tokens[i].text.length;
+      if (this.output[i] === tokens[i].text) continue;
+      const text = this.output[i];
+      while (this.output[i + 1] === '' && tokens[i + 1].text !== '') offset += tokens[++i].text.length;
+      patch.replace(start, offset, text);
+    }
+    return patch.toString();
+  }
+
+  // ==================== LEXER ====================
+
+  /**
+   * Split input into tokens: { type, text } plus content and closed for strings
+   * @private
+   */
+  static _lex(input) {
+    const tokens = [];
+    let i = 0;
+    outer: while (i < input.length) {
+      const char = input[i];
+      if (char === '"' || char === "'" || char === '`') {
+        const token = this._lexString(input, i);
+        tokens.push(token);
+        i += token.text.length;
+        continue;
+      }
+      if (char === '/' && input[i + 1] !== '/' && input[i + 1] !== '*' && this._regexAllowed(tokens)) {
+        const end = this._regexEnd(input, i);
+        if (end !== -1) {
+          tokens.push({ type: 'regex', text: input.slice(i, end) });
+          i = end;
+          continue;
+        }
+      }
+      for (const [type, pattern] of this._patterns) {
+        pattern.lastIndex = i;
+        const match = pattern.exec(input);
+        if (match && match[0]) {
+          tokens.push({ type, text: match[0] });
+          i += match[0].length;
+          continue outer;
+        }
+      }
+      tokens.push({ type: '{}[](),:;'.includes(char) ? 'punctuation' : 'other', text: char });
+      i++;
+    }
+    return tokens;
+  }
+
+  /**
+   * A quoted or template string at i; ${...} substitutions are kept as written
+   * @private
+   */
+  static _lexString(input, i) {
+    const quote = input[i];
+    let j = i + 1;
+    while (j < input.length && input[j] !== quote) {
+      j += input[j] === '\\' ? 2 : 1;
+    }
+    const closed = j < input.length;
+    const end = closed ? j + 1 : input.length;
+    return { type: 'string', text: input.slice(i, end), content: input.slice(i + 1, closed ? j : end), closed };
+  }
+
+  /**
+   * Whether a / here starts a regular expression: at the start, or after an operator or opener
+   * @private
+   */
+  static _regexAllowed(tokens) {
+    for (let i = tokens.length - 1; i >= 0; i--) {
+      const { type, text } = tokens[i];
+      if (type === 'whitespace' || type === 'comment') continue;
+      return (type === 'punctuation' || type === 'other') && this._regexAfter.has(text);
+    }
+    return true;
+  }
+
+  /**
+   * End of a regular expression literal at i (flags included), or -1 when the line ends first
+   * @private
+   */
+  static _regexEnd(input, i) {
+    let inClass = false;
+    for (let j = i + 1; j < input.length; j++) {
+      const char = input[j];
+      if (char === '\n' || char === '\r') return -1;
+      if (char === '\\') {
+        j++;
+      } else if (char === '[') {
+        inClass = true;
+      } else if (char === ']') {
+        inClass = false;
+      } else if (char === '/' && !inClass) {
+        const flags = /[a-z]*/y;
+        flags.lastIndex = j + 1;
+        return j + 1 + flags.exec(input)[0].length;
+      }
+    }
+    return -1;
+  }
+
+  // ==================== CONVERSIONS ====================
+
+  /**
+   * A JavaScript number as a JSON number: numeric separators, BigInt suffixes, octal and binary
+   * on top of what JSON5 allows. Null when the text is not a number
+   * @private
+   */
+  static _number(text) {
+    const clean = text.replace(/_/g, '').replace(/n$/, '');
+    const based = /^([+-]?)(0[oObB][0-7]+)$/.exec(clean);
+    if (based) return (based[1] === '-' ? '-' : '') + BigInt(based[2].toLowerCase()).toString();
+    return Json5.number(clean);
+  }
+
+  /**
+   * Replace `new Date(...)` from token start to the closing parenthesis with the ISO string it
+   * stands for, as JSON.stringify writes it; an invalid date becomes null, as there too
+   * Nothing is read in the local time zone, so the result does not depend on the host: several
+   * arguments (year, month, ...) and a string without a zone are taken as UTC.
+   * Returns the index of the last token replaced
+   * @private
+   */
+  _convertDate(start, open) {
+    const close = this._valueEnd(open);
+    if (!this._is(close, ')')) return start; // Cut off: leave it to the other repairs
+
+    const args = [];
+    for (let i = this._nextSignificant(open); i !== -1 && i < close; i = this._nextSignificant(i)) {
+      if (this._is(i, ',')) continue;
+      const { type, content, text } = this.tokens[i];
+      if (type === 'string') args.push(JSON.parse('"' + Json5.string(content) + '"'));
+      else if (type === 'number') args.push(Number(JsLiteral._number(text)));
+      else args.push(NaN);
+    }
+
+    let date;
+    if (args.length === 0) date = new Date(NaN); // The current time is not data
+    else if (args.length === 1) date = JsLiteral._date(args[0]);
+    else date = new Date(Date.UTC(...args));
+
+    this._replace(start, close, JSON.stringify(date));
+    return close;
+  }
+
+  /**
+   * The date one argument stands for, with a string that names no zone taken as UTC
+   * Date itself reads such a string in local time unless it is a date alone ('2024-01-01')
+   * @private
+   */
+  static _date(value) {
+    const date = new Date(value);
+    if (typeof value !== 'string' || JsLiteral._dateOnly.test(value) || JsLiteral._zone.test(value)) return date;
+    if (JsLiteral._isoDateTime.test(value)) return new Date(value.trim() + 'Z');
+    // Other formats: the same wall-clock time, in UTC
+    const utc = new Date(0);
+    utc.setUTCFullYear(date.getFullYear(), date.getMonth(), date.getDate());
+    utc.setUTCHours(date.getHours(), date.getMinutes(), date.getSeconds(), date.getMilliseconds());
+    return utc;
+  }
+
+  // ISO dates without a time, which Date already reads as UTC
+  static _dateOnly = /^\s*(?:[+-]\d{6}|\d{4})(?:-\d\d(?:-\d\d)?)?\s*$/;
+
+  // ISO date-times without a zone, which take one as a suffix
+  static _isoDateTime = /^\s*(?:[+-]\d{6}|\d{4})-\d\d-\d\dT\d\d:\d\d(?::\d\d(?:\.\d+)?)?\s*$/;
+
+  // A zone in a date string: Z after a time, GMT/UTC, or an offset such as +01:00 or -0500
+  static _zone = /\dZ\b|\b(?:GMT|UTC)\b|[+-]\d\d:?\d\d\b/i;
+
+  /**
+   * Write null for a value JSON has no form for (tokens from..to): undefined, a function or a symbol
+   * With omitUndefined, an object property is dropped instead, as JSON.stringify does
+   * Returns the index of the last token replaced
+   * @private
+   */
+  _dropValue(from, to, containers) {
+    const colon = this._previousSignificant(from);
+    if (this.omitUndefined && containers[containers.length - 1] === '{' && this._is(colon, ':')) {
+      return this._removeElement(this._previousSignificant(colon), to);
+    }
+    this._replace(from, to, 'null');
+    return to;
+  }
+
+  /**
+   * Write a method (`m() { ... }`, tokens from..to) as the property `"m": null`, or drop it with omitUndefined
+   * @private
+   */
+  _dropMethod(from, to) {
+    if (this.omitUndefined) return this._removeElement(from, to);
+    const key = this._is(this._nextSignificant(from), '(') ? from : this._nextSignificant(from);
+    this._replace(from, to, (Json5.identifier(this.tokens[key].text) ?? this.tokens[key].text) + ': null');
+    return to;
+  }
+
+  /**
+   * Last token of the function, arrow function or symbol starting at i, or -1 if none starts there
+   * @private
+   */
+  _functionEnd(i) {
+    let start = i;
+    const next = this._nextSignificant(i);
+    if (this.tokens[i].text === 'async' && (this.tokens[next]?.type === 'identifier' || this._is(next, '('))) start = next;
+
+    const { type, text } = this.tokens[start];
+    if (type === 'identifier' && (text === 'function' || (text === 'Symbol' && (this._is(next, '(') || this.tokens[next]?.text === '.')))) {
+      return this._valueEnd(i);
+    }
+    // An arrow function: one parameter, or a parenthesized list, then =>
+    const params = type === 'identifier' ? start : this._is(start, '(') ? this._valueEnd(start) : -1;
+    const arrow = params === -1 ? -1 : this._nextSignificant(params);
+    if (this.tokens[arrow]?.text !== '=' || this.tokens[arrow + 1]?.text !== '>') return -1;
+    const body = this._nextSignificant(arrow + 1);
+    return body === -1 ? arrow + 1 : this._valueEnd(body);
+  }
+
+  /**
+   * Last token of the method shorthand (`m() { ... }`, optionally async) starting at i, or -1
+   * @private
+   */
+  _methodEnd(i) {
+    const name = this.tokens[i].text === 'async' && this.tokens[this._nextSignificant(i)]?.type === 'identifier' ? this._nextSignificant(i) : i;
+    const open = this._nextSignificant(name);
+    if (!this._is(open, '(')) return -1;
+    const body = this._nextSignificant(this._valueEnd(open));
+    return this._is(body, '{') ? this._valueEnd(body) : -1;
+  }
+
+  /**
+   * Drop an element (tokens from..to) with one of the commas around it
+   * Returns the index of the last token removed
+   * @private
+   */
+  _removeElement(from, to) {
+    const after = this._nextSignificant(to);
+    const before = this._previousSignificant(from);
+    if (this._is(after, ',')) {
+      // `a, x, b` → `a, b`: the element, its comma and the whitespace up to the next element
+      let end = after;
+      while (this.tokens[end + 1]?.type === 'whitespace') end++;
+      this._replace(from, end, '');
+      return end;
+    }
+    this._replace(this._is(before, ',') ? before : from, to, '');
+    return to;
+  }
+
+  /**
+   * Last token of the value starting at i (through matching brackets), stopping before , or a closer
+   * For an opener, that is its closer
+   * @private
+   */
+  _valueEnd(i) {
+    let depth = 0;
+    let last = i;
+    for (let j = i; j < this.tokens.length; j++) {
+      const { type, text } = this.tokens[j];
+      if (type === 'punctuation') {
+        if ('{[('.includes(text)) {
+          depth++;
+        } else if ('}])'.includes(text)) {
+          if (depth === 0) return last;
+          depth--;
+          if (depth === 0 && j > i && '{[('.includes(this.tokens[i].text)) return j;
+        } else if (depth === 0 && (text === ',' || text === ';')) {
+          return last;
+        }
+      }
+      if (type !== 'whitespace' && type !== 'comment') last = j;
+    }
+    return last;
+  }
+
+  /**
+   * @private
+   */
+  _replace(from, to, text) {
+    for (let i = from; i <= to; i++) this.output[i] = '';
+    this.output[from] = text;
+  }
+
+  /**
+   * Whether token i is punctuation in chars
+   * @private
+   */
+  _is(i, chars) {
+    const token = this.tokens[i];
+    return token !== undefined && token.type === 'punctuation' && chars.includes(token.text);
+  }
+
+  /**
+   * @private
+   */
+  _nextSignificant(i) {
+    for (let j = i + 1; j < this.tokens.length; j++) {
+      if (this.tokens[j].type !== 'whitespace' && this.tokens[j].type !== 'comment') return j;
+    }
+    return -1;
+  }
+
+  /**
+   * @private
+   */
+  _previousSignificant(i) {
+    for (let j = i - 1; j >= 0; j--) {
+      if (this.tokens[j].type !== 'whitespace' && this.tokens[j].type !== 'comment') return j;
+    }
+    return -1;
+  }
+}
+
+export default JsLiteral;
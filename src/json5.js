@@ -0,0 +1,92 @@
+import { Tokenizer } from './tokenizer.js';
+
+/**
+ * Json5 - converts JSON5 tokens to their strict JSON equivalents
+ * Shared by the json5 mode strategies and the parser engine. Each helper takes the text of
+ * one token and returns the JSON text to put in its place, or null when the token is not
+ * valid JSON5 of that kind (it is then left to the other repairs).
+ * See https://spec.json5.org
+ */
+export class Json5 {
+  // Escapes JSON5 allows that JSON does not have, as JSON string content
+  static _escapes = { "'": "'", v: '\\u000b', 0: '\\u0000' };
+
+  // Escapes JSON and JSON5 share
+  static _jsonEscapes = new Set(['"', '\\', '/', 'b', 'f', 'n', 'r', 't']);
+
+  /**
+   * String content (between the quotes) as JSON string content
+   * Handles line continuations, \x escapes, \' \v \0, identity escapes (\A → A), raw double
+   * quotes from single-quoted strings and raw control characters
+   * @param {string} content
+   * @returns {string}
+   */
+  static string(content) {
+    const converted = content.replace(/\\(\r\n|x[0-9a-fA-F]{2}|[\s\S])|"/g, (match, escaped) => {
+      if (escaped === undefined) return '\\"';
+      // A backslash before a line terminator continues the string on the next line
+      if (/^(\r\n|[\n\r\u2028\u2029])$/.test(escaped)) return '';
+      if (escaped.length === 3) return Json5._char(parseInt(escaped.slice(1), 16));
+      if (Json5._jsonEscapes.has(escaped) || escaped === 'u') return match;
+      return Json5._escapes[escaped] ?? Json5._char(escaped.charCodeAt(0));
+    });
+    return Tokenizer.escapeControlCharacters(converted);
+  }
+
+  /**
+   * A number or Infinity/NaN as a JSON number
+   * Digits are copied, never rounded: hexadecimal goes through BigInt, and Infinity becomes
+   * 1e999 (which JSON.parse reads as Infinity). NaN has no JSON form and becomes null
+   * @param {string} word
+   * @returns {string|null}
+   */
+  static number(word) {
+    const match = /^([+-]?)(?:(Infinity|NaN)|0[xX]([0-9a-fA-F]+)|(\d*)(?:\.(\d*))?([eE][+-]?\d+)?)$/.exec(word);
+    if (!match) return null;
+    const [, sign, special, hex, integer = '', fraction, exponent = ''] = match;
+    const minus = sign === '-' ? '-' : '';
+
+    if (special) return special === 'NaN' ? 'null' : `${minus}1e999`;
+    if (hex) return minus + BigInt('0x' + hex).toString();
+    // At least one digit, before or after the point
+    if (!integer && !fraction) return null;
+    const digits = integer.replace(/^0+(?=\d)/, '') || '0';
+    return minus + digits + (fraction ? '.' + fraction : '') + exponent;
+  }
+
+  /**
+   * An unquoted key (an ECMAScript IdentifierName, which may contain \uXXXX escapes) as a JSON string
+   * @param {string} word
+   * @returns {string|null}
+   */
+  static identifier(word) {
+    if (!Json5._identifier.test(word)) return null;
+    return JSON.stringify(word.replace(/\\u([0-9a-fA-F]{4})/g, (match, hex) => String.fromCharCode(parseInt(hex, 16))));
+  }
+
+  /**
+   * Whitespace with the characters JSON does not allow (no-break space, BOM, line separators, ...)
+   * replaced by plain spaces
+   * @param {string} whitespace
+   * @returns {string}
+   */
+  static whitespace(whitespace) {
+    return whitespace.replace(/[^ \t\n\r]/g, ' ');
+  }
+
+  // ==================== HELPER METHODS ====================
+
+  static _identifier = /^(?:[\p{ID_Start}$_]|\\u[0-9a-fA-F]{4})(?:[\p{ID_Continue}$\u200c\u200d]|\\u[0-9a-fA-F]{4})*$/u;
+
+  /**
+   * One character as JSON string content
+   * @private
+   */
+  static _char(code) {
+    const char = String.fromCharCode(code);
+    if (char === '"' || char === '\\') return '\\' + char;
+    return Tokenizer.escapeControlCharacters(char);
+  }
+}
+
+export default Json5;
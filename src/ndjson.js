@@ -0,0 +1,222 @@
+import { createRequire } from 'node:module';
+import { Transform } from 'node:stream';
+import { HealError } from './errors.js';
+
+const require = createRequire(import.meta.url);
+
+/**
+ * NdjsonHealer - heals newline-delimited JSON one line at a time
+ * write() takes text or bytes in any chunking and returns one entry per line it completed;
+ * end() returns the last line when the input does not end with a newline. Blank lines are
+ * skipped but still counted, so line numbers match the source. The Node and Web stream
+ * adapters below are thin wrappers around it.
+ */
+export class NdjsonHealer {
+  /**
+   * @param {JsonHealer} healer - Healer instance that heals each line
+   * @param {object} [options]
+   * @param {'value'|'line'} [options.output='value'] - Emit parsed values, or healed JSON text per line
+   *   (newline-terminated)
+   * @param {object} [options.healOptions] - Options for every heal()/parseOrThrow() call
+   */
+  constructor(healer, { output = 'value', healOptions = {} } = {}) {
+    if (output !== 'value' && output !== 'line') {
+      throw new TypeError(`output must be 'value' or 'line', got ${JSON.stringify(output)}`);
+    }
+    // An unknown mode, policy or strategy name would fail every line; fail here instead
+    healer.constructor._checkOptions({ ...healer.options, ...healOptions });
+    healer._checkStrategyNames({ ...healer.options, ...healOptions });
+    this.healer = healer;
+    this.output = output;
+    this.healOptions = healOptions;
+    this.lineNumber = 0;   // Lines completed so far
+    this.buffer = '';      // Text after the last newline
+    this.decoder = null;   // Created on the first byte chunk
+  }
+
+  /**
+   * Feed the next chunk
+   * @param {string|Uint8Array} chunk
+   * @returns {Array<{lineNumber: number, input: string, value?: any, text?: string, error?: HealError}>}
+   */
+  write(chunk) {
+    const text = this._decode(chunk);
+    const entries = [];
+    let pending = this.buffer;
+    let start = 0;
+    let end;
+    while ((end = text.indexOf('\n', start)) !== -1) {
+      this._healLine(pending + text.slice(start, end), entries);
+      pending = '';
+      start = end + 1;
+    }
+    this.buffer = pending + text.slice(start);
+    return entries;
+  }
+
+  /**
+   * Heal whatever follows the last newline
+   * @returns {Array<{lineNumber: number, input: string, value?: any, text?: string, error?: HealError}>}
+   */
+  end() {
+    const entries = [];
+    const rest = this.buffer + (this.decoder ? this.decoder.decode() : '');
+    this.buffer = '';
+    if (rest) this._healLine(rest, entries);
+    return entries;
+  }
+
+  /**
+   * @private
+   */
+  _decode(chunk) {
+    if (typeof chunk === 'string') return chunk;
+    if (chunk instanceof Uint8Array) {
+      if (!this.decoder) this.decoder = new TextDecoder();
+      return this.decoder.decode(chunk, { stream: true });
+    }
+    throw new TypeError(`Chunk must be a string or Uint8Array, got ${chunk === null ? 'null' : typeof chunk}`);
+  }
+
+  /**
+   * Heal one line into an entry; a line that cannot be healed gives an entry with its HealError
+   * @private
+   */
+  _healLine(raw, entries) {
+    this.lineNumber++;
+    const input = raw.endsWith('\r') ? raw.slice(0, -1) : raw;
+    if (!input.trim()) return;
+
+    const { healer, healOptions } = this;
+    try {
+      if (this.output === 'value') {
+        entries.push({ lineNumber: this.lineNumber, input, value: healer.parseOrThrow(input, healOptions) });
+        return;
+      }
+      const text = healer.heal(input, healOptions);
+      if (healer.constructor.isValidJSON(text)) {
+        entries.push({ lineNumber: this.lineNumber, input, text: text + '\n' });
+        return;
+      }
+      // Run again for the HealError that explains the failure
+      healer.parseOrThrow(input, healOptions);
+    } catch (e) {
+      const error = e instanceof HealError ? e : new HealError(`Unable to heal line: ${e.message}`, { input, cause: e });
+      entries.push({ lineNumber: this.lineNumber, input, error });
+    }
+  }
+}
+
+/**
+ * Split the adapter options into NdjsonHealer options and the per-line failure callback
+ * @private
+ */
+function splitOptions({ output, onError, ...healOptions } = {}) {
+  return { output, onError, healOptions };
+}
+
+/**
+ * Hand each entry to emit(), or a { lineNumber, input, error } failure to fail()
+ * In 'value' mode a line that heals to null is a failure: a Node.js object-mode stream would end
+ * at it, and the Web adapter reports it too so both adapters emit the same values
+ * @private
+ */
+function forwardEntries(entries, output, emit, fail) {
+  for (const { lineNumber, input, value, text, error } of entries) {
+    if (error) {
+      fail({ lineNumber, input, error });
+    } else if (output === 'line') {
+      emit(text);
+    } else if (value === null) {
+      const message = "Line heals to null, which a value stream cannot emit; use output: 'line' to keep it";
+      fail({ lineNumber, input, error: new HealError(message, { input }) });
+    } else {
+      emit(value);
+    }
+  }
+}
+
+/**
+ * Node.js Transform: bytes or text in, one parsed value (or healed line) out per NDJSON line
+ * Lines that cannot be healed are reported through the 'lineError' event and options.onError
+ * with { lineNumber, input, error }; they never end the stream. An exception thrown by
+ * onError does, through the usual 'error' event.
+ * @param {JsonHealer} healer
+ * @param {object} [options] - output, onError, plus healing options
+ * @returns {Transform}
+ */
+export function createNdjsonTransform(healer, options) {
+  const { output, onError, healOptions } = splitOptions(options);
+  const lines = new NdjsonHealer(healer, { output, healOptions });
+  // Healed lines are text, so the output can be piped to a file; values need object mode
+  const emitsValues = lines.output === 'value';
+
+  const forward = (transform, entries) => forwardEntries(entries, lines.output,
+    chunk => transform.push(chunk),
+    (failure) => {
+      transform.emit('lineError', failure);
+      onError?.(failure);
+    });
+
+  return new Transform({
+    readableObjectMode: emitsValues,
+    decodeStrings: false,
+    transform(chunk, encoding, callback) {
+      try {
+        forward(this, lines.write(chunk));
+        callback();
+      } catch (e) {
+        callback(e);
+      }
+    },
+    flush(callback) {
+      try {
+        forward(this, lines.end());
+        callback();
+      } catch (e) {
+        callback(e);
+      }
+    },
+  });
+}
+
+/**
+ * The Web Streams classes: global ones, or node:stream/web's where they are not global (Node.js 16)
+ * @private
+ */
+function webStreams() {
+  if (typeof TransformStream !== 'undefined') return globalThis;
+  try {
+    return require('node:stream/web');
+  } catch {
+    throw new TypeError('Web Streams are not available; ndjsonTransformStream() needs Node.js 16.5 or later');
+  }
+}
+
+/**
+ * Web Streams TransformStream with the same behavior as createNdjsonTransform()
+ * Failures go to options.onError only; an exception thrown by onError errors the stream
+ * @param {JsonHealer} healer
+ * @param {object} [options] - output, onError, plus healing options
+ * @returns {TransformStream}
+ */
+export function createNdjsonTransformStream(healer, options) {
+  const { output, onError, healOptions } = splitOptions(options);
+  const lines = new NdjsonHealer(healer, { output, healOptions });
+
+  const forward = (controller, entries) => forwardEntries(entries, lines.output,
+    chunk => controller.enqueue(chunk),
+    failure => onError?.(failure));
+
+  const WebTransformStream = webStreams().TransformStream;
+  return new WebTransformStream({
+    transform(chunk, controller) {
+      forward(controller, lines.write(chunk));
+    },
+    flush(controller) {
+      forward(controller, lines.end());
+    },
+  });
+}
+
+export default NdjsonHealer;
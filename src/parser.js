@@ -0,0 +1,640 @@
+import { Json5 } from './json5.js';
+import { Tokenizer } from './tokenizer.js';
+
+/**
+ * RepairingParser - single-pass repair of malformed JSON
+ * Walks the tokens once, tracking object/array context, and decides per token
+ * whether to keep, drop or rewrite it (plus what to insert around it). The
+ * output keeps the input's formatting; each edit is named after the pipeline
+ * strategy that makes the same kind of repair, so reports and source maps read
+ * the same for both engines.
+ */
+export class RepairingParser {
+  // Literals with a JSON equivalent (anything else in value position is a number or a bare word)
+  static LITERALS = {
+    true: 'true',
+    false: 'false',
+    null: 'null',
+    True: 'true',
+    False: 'false',
+    None: 'null',
+    undefined: 'null',
+    NaN: 'null',
+    Infinity: 'null',
+    '+Infinity': 'null',
+    '-Infinity': 'null',
+  };
+
+  // Input modes the parser converts itself; JsonHealer runs the mode strategies of the others first
+  static modes = Object.freeze(['json5']);
+
+  // How the parser tokenizes its input; a string that runs into `, "key":` ends before it
+  static scanOptions = Object.freeze({ breakString: Tokenizer.breakBeforeKey });
+
+  // What a closed double-quoted string may need rewritten: escapes, control characters, surrogates
+  static _stringRepairs = /[\u0000-\u001f\\\ud800-\udfff]/;
+
+  /**
+   * @param {string} input - Malformed JSON
+   * @param {object} [options]
+   * @param {'complete'|'drop-incomplete'|'drop-incomplete-strings'} [options.truncation='complete'] -
+   *   What to do with the member or element the end of the input cut off (see JsonHealer#heal)
+   * @param {'keep'|'replace'|'remove'} [options.invalidEscapes='keep'] - What to do with escapes that
+   *   mean nothing and unpaired surrogates (see Tokenizer.fixInvalidEscapes)
+   * @param {string} [options.mode] - Input dialect to convert in full, as in JsonHealer#heal
+   */
+  constructor(input, { truncation = 'complete', invalidEscapes = 'keep', mode = null } = {}) {
+    this.input = input;
+    this.truncation = truncation;
+    this.invalidEscapes = invalidEscapes;
+    this.mode = mode;
+  }
+
+  /**
+   * Repair the input
+   * @returns {{output: string, edits: Array<{strategy: string, start: number, end: number, outStart: number, outEnd: number, replacement: string}>}}
+   *   - Edits are sorted, with offsets into the input (start/end) and the output (outStart/outEnd)
+   * @throws {SyntaxError} When the input has no recognizable JSON structure
+   */
+  parse() {
+    const input = this.input;
+    // Anything before the first bracket is prose or a markdown fence
+    const rootStart = input.search(/[{[]/);
+    const offset = Math.max(rootStart, 0);
+
+    // Token offsets are relative to the scanned text; offset maps them back to the input
+    this.tokens = Tokenizer.scan(offset ? input.slice(offset) : input, RepairingParser.scanOptions);
+    this.offset = offset;
+    this.pos = 0;
+    this.open = []; // Opener characters of the containers the parser is inside, innermost last
+    this.replacements = new Map();
+    this.insertsBefore = new Map();
+    this.insertsAfter = new Map();
+    this.head = offset ? [{ strategy: 'extractFromMixedText', start: 0, end: offset, text: '' }] : [];
+    this.tail = [];
+
+    for (let i = 0; i < this.tokens.length; i++) {
+      if (this.tokens.isComment(i)) {
+        this._replace(i, '', 'removeComments');
+      } else if (this.mode === 'json5' && this.tokens.isWhitespace(i)) {
+        const whitespace = this.tokens.value(i);
+        const normalized = Json5.whitespace(whitespace);
+        if (normalized !== whitespace) this._replace(i, normalized, 'normalizeJson5Whitespace');
+      }
+    }
+
+    const first = this._peek();
+    if (first === -1) this._fail('No JSON value found', input.length);
+
+    if (rootStart === -1) {
+      this._parseBareRoot(first);
+    } else {
+      this._parseValue();
+    }
+
+    // Trailing prose, fences and surplus closers
+    for (let i = this.pos; i < this.tokens.length; i++) {
+      this._replace(i, '', 'extractFromMixedText');
+    }
+
+    return this._render();
+  }
+
+  // ==================== GRAMMAR ====================
+
+  /**
+   * Root without brackets: `"a": 1, "b": 2` becomes an object, a lone scalar stays as is
+   * @private
+   */
+  _parseBareRoot(first) {
+    const next = this._peekAfter(first);
+    if (this._isKey(first) && this.tokens.isPunctuation(next, ':')) {
+      this._insertBefore(first, '{', 'aggressiveRepair');
+      this.open.push('{');
+      this._parseContainers(this._frame(true, null));
+      return;
+    }
+    if (next !== -1 || !this._startsValue(first)) {
+      this._fail('Expected a JSON value', this._start(first));
+    }
+    this._parseValue();
+  }
+
+  /**
+   * @private
+   */
+  _parseValue() {
+    this._parseContainers(this._beginValue());
+  }
+
+  /**
+   * Parse a container and everything nested in it
+   * Open containers are frames on an explicit stack rather than calls, so nesting depth is
+   * limited by memory, not by the call stack
+   * @param {object|null} first - Frame of the outermost container, or null after a scalar
+   * @private
+   */
+  _parseContainers(first) {
+    const frames = first ? [first] : [];
+    while (frames.length) {
+      const frame = frames[frames.length - 1];
+      const child = frame.isObject ? this._stepObject(frame) : this._stepArray(frame);
+      if (child) {
+        frames.push(child);
+      } else {
+        frames.pop();
+        this.open.pop();
+      }
+    }
+  }
+
+  /**
+   * State of an open container
+   * pending is the member or element whose value is being parsed: { first, start, tail, missingComma }
+   * @private
+   */
+  _frame(isObject, openIndex) {
+    return { isObject, openIndex, count: 0, comma: -1, afterValue: false, pending: null };
+  }
+
+  /**
+   * Parse the value at the next token: a scalar in full, or just the opener of a container
+   * @returns {object|null} - Frame of the container it opened, if any
+   * @private
+   */
+  _beginValue() {
+    const index = this._peek();
+    const tokens = this.tokens;
+    this.pos = index + 1;
+
+    if (tokens.isPunctuation(index, '{[')) {
+      this.open.push(tokens.value(index));
+      return this._frame(tokens.isPunctuation(index, '{'), index);
+    }
+    if (tokens.isString(index)) {
+      this._normalizeString(index);
+      this.lastValue = index;
+    } else if (tokens.isWord(index)) {
+      const end = Tokenizer.bareValueEnd(tokens, index);
+      if (end > index) {
+        // Several words up to a comma or closer are one value: {note: hello world}
+        const text = this.input.slice(this._start(index), tokens.end(end) + this.offset);
+        this._replace(index, JSON.stringify(text), 'quoteBareValues');
+        for (let i = index + 1; i <= end; i++) this._replace(i, '', 'quoteBareValues');
+        this.pos = end + 1;
+        this.lastValue = end;
+      } else {
+        this._normalizeWord(index);
+        this.lastValue = index;
+      }
+    } else {
+      this._fail(`Unexpected "${tokens.value(index)}"`, this._start(index));
+    }
+    return null;
+  }
+
+  /**
+   * Parse the value of a member or element, keeping it unless the end of the input cut it off
+   * @returns {object|null} - Frame of a container the value opened; the element is finished
+   *   when that container closes
+   * @private
+   */
+  _parseElement(frame, pending) {
+    frame.pending = pending;
+    const child = this._beginValue();
+    if (!child) this._finishElement(frame);
+    return child;
+  }
+
+  /**
+   * @private
+   */
+  _finishElement(frame) {
+    const { first, start, tail, missingComma } = frame.pending;
+    frame.pending = null;
+    if (this._isTruncated(first, tail)) {
+      this._dropElement(start, this.tokens.length, 'dropTruncatedElement', tail, missingComma);
+      frame.afterValue = frame.count > 0;
+    } else {
+      frame.count++;
+      frame.afterValue = true;
+    }
+    frame.comma = -1;
+  }
+
+  /**
+   * Parse object members after `{` (openIndex is null for a bare root object) until the object
+   * closes (returns null) or a member's value opens a container (returns its frame)
+   * @private
+   */
+  _stepObject(frame) {
+    if (frame.pending) this._finishElement(frame);
+    const closer = frame.openIndex === null ? 'aggressiveRepair' : 'balanceBrackets';
+    const tokens = this.tokens;
+
+    for (;;) {
+      const index = this._peek();
+
+      if (index === -1 || tokens.isPunctuation(index, '}]')) {
+        if (frame.comma !== -1) this._replace(frame.comma, '', 'fixTrailingCommas');
+        if (index === -1) {
+          this.tail.push({ strategy: closer, text: '}' });
+          return null;
+        }
+        if (tokens.isPunctuation(index, ']') && this._closesOuter(index, '}')) return null;
+        this.pos = index + 1;
+        this.lastValue = index;
+        return null;
+      }
+
+      if (tokens.isPunctuation(index, ',')) {
+        this.pos = index + 1;
+        if (frame.afterValue && frame.comma === -1) {
+          frame.comma = index;
+        } else {
+          this._replace(index, '', frame.count ? 'fixMultipleCommas' : 'fixLeadingCommas');
+        }
+        continue;
+      }
+
+      if (!this._isKey(index)) this._fail(`Expected an object key, got "${tokens.value(index)}"`, this._start(index));
+      const missingComma = frame.afterValue && frame.comma === -1 ? this.lastValue : -1;
+      if (missingComma !== -1) this._insertAfter(missingComma, ',', 'fixMissingCommas');
+
+      // Everything from the separating comma to here goes if the member turns out to have no value
+      const memberStart = frame.comma !== -1 ? frame.comma : index;
+      this.pos = index + 1;
+      if (tokens.isString(index)) {
+        this._normalizeString(index);
+      } else {
+        this._normalizeKey(index);
+      }
+
+      let next = this._peek();
+      if (tokens.isPunctuation(next, ':')) {
+        this.pos = next + 1;
+        next = this._peek();
+        if (tokens.isPunctuation(next, ',}]')) {
+          this._insertBefore(next, 'null', 'insertNullValue');
+          frame.count++;
+          frame.afterValue = true;
+          frame.comma = -1;
+          continue;
+        }
+      } else if (next !== -1 && this._startsValue(next)) {
+        this._insertAfter(index, ':', 'fixMissingColons');
+      } else {
+        next = -1;
+      }
+
+      if (next === -1) {
+        // Dangling key (truncated input or a key with no value)
+        const end = this._peek() === -1 ? tokens.length : this.pos;
+        this._dropElement(memberStart, end, 'dropIncompleteMember', this.tail.length, missingComma);
+        frame.afterValue = frame.count > 0;
+        frame.comma = -1;
+        continue;
+      }
+
+      const child = this._parseElement(frame, { first: next, start: memberStart, tail: this.tail.length, missingComma });
+      if (child) return child;
+    }
+  }
+
+  /**
+   * Parse array elements after `[` until the array closes (returns null) or an element opens
+   * a container (returns its frame)
+   * @private
+   */
+  _stepArray(frame) {
+    if (frame.pending) this._finishElement(frame);
+    const tokens = this.tokens;
+
+    for (;;) {
+      const index = this._peek();
+
+      if (index === -1 || tokens.isPunctuation(index, ']}')) {
+        if (frame.comma !== -1) this._replace(frame.comma, '', 'fixTrailingCommas');
+        if (index === -1) {
+          this.tail.push({ strategy: 'balanceBrackets', text: ']' });
+          return null;
+        }
+        if (tokens.isPunctuation(index, '}') && this._closesOuter(index, ']')) return null;
+        this.pos = index + 1;
+        this.lastValue = index;
+        return null;
+      }
+
+      if (tokens.isPunctuation(index, ',')) {
+        this.pos = index + 1;
+        if (frame.afterValue && frame.comma === -1) {
+          frame.comma = index;
+        } else {
+          this._replace(index, '', frame.count ? 'fixMultipleCommas' : 'fixLeadingCommas');
+        }
+        continue;
+      }
+
+      if (!this._startsValue(index)) this._fail(`Unexpected "${tokens.value(index)}" in array`, this._start(index));
+      const missingComma = frame.afterValue && frame.comma === -1 ? this.lastValue : -1;
+      if (missingComma !== -1) this._insertAfter(missingComma, ',', 'fixMissingCommas');
+
+      const start = frame.comma !== -1 ? frame.comma : index;
+      const child = this._parseElement(frame, { first: index, start, tail: this.tail.length, missingComma });
+      if (child) return child;
+    }
+  }
+
+  // ==================== TOKEN REPAIRS ====================
+
+  /**
+   * Rewrite a string token as a closed, double-quoted JSON string
+   * @private
+   */
+  _normalizeString(index) {
+    const tokens = this.tokens;
+    const closed = tokens.closed(index);
+    const quote = tokens.quote(index);
+    const json5 = this.mode === 'json5';
+    let content = tokens.content(index);
+    // Most strings have nothing to rewrite: no escapes, control characters or surrogates
+    if (closed && quote === '"' && !json5 && !RepairingParser._stringRepairs.test(content)) return;
+    // fixInvalidEscapes takes the edit when it is the only change, or when it lost text
+    let escapes = false;
+    if (json5) {
+      content = Json5.string(content);
+    } else {
+      if (quote === "'") content = Tokenizer.requote(content);
+      const escaped = Tokenizer.escapeControlCharacters(content);
+      const fixed = Tokenizer.fixInvalidEscapes(escaped, this.invalidEscapes);
+      escapes = fixed !== escaped && ((quote === '"' && escaped === content) ||
+        fixed !== Tokenizer.fixInvalidEscapes(escaped, 'keep'));
+      content = fixed;
+    }
+    if (!closed) content = Tokenizer.trimDanglingBackslash(content);
+
+    const text = '"' + content + '"';
+    if (text === tokens.value(index)) return;
+    let strategy = 'closeBrokenStrings';
+    if (closed) {
+      if (json5) strategy = 'convertJson5Strings';
+      else if (escapes) strategy = 'fixInvalidEscapes';
+      else strategy = quote === "'" ? 'fixSingleQuotes' : 'escapeControlCharacters';
+    }
+    this._replace(index, text, strategy);
+  }
+
+  /**
+   * Handle closer index when it does not match the container being parsed: swap it for expected,
+   * or (true) leave it to an outer container, inserting expected before it
+   * @private
+   */
+  _closesOuter(index, expected) {
+    if (Tokenizer.substitutesCloser(this.tokens, index, this.open)) {
+      this._replace(index, expected, 'fixMismatchedClosers');
+      return false;
+    }
+    this._insertBefore(index, expected, 'fixMismatchedClosers');
+    return true;
+  }
+
+  /**
+   * Quote a word in key position
+   * @private
+   */
+  _normalizeKey(index) {
+    const word = this.tokens.value(index);
+    const identifier = this.mode === 'json5' ? Json5.identifier(word) : null;
+    if (identifier !== null) {
+      this._replace(index, identifier, 'convertJson5Identifiers');
+    } else {
+      this._replace(index, JSON.stringify(word), 'fixUnquotedKeys');
+    }
+  }
+
+  /**
+   * Rewrite a word in value position: literals, numbers, otherwise a bare string
+   * @private
+   */
+  _normalizeWord(index) {
+    const word = this.tokens.value(index);
+    // A word the end of the input cut off inside a container (tru, 12.) is finished first
+    if (this.open.length && this._peekAfter(index) === -1) {
+      const completed = Tokenizer.completeWord(word);
+      if (completed !== null && completed !== word) {
+        this._replace(index, completed, 'completeTruncatedValues');
+        return;
+      }
+    }
+    const number = this.mode === 'json5' ? Json5.number(word) : null;
+    if (number !== null) {
+      if (number !== word) this._replace(index, number, 'convertJson5Numbers');
+      return;
+    }
+    const literal = RepairingParser.LITERALS[word];
+
+    if (literal !== undefined) {
+      if (literal !== word) this._replace(index, literal, 'fixPythonLiterals');
+    } else if (Tokenizer.isNumberWord(word)) {
+      if (!/^-?(0|[1-9]\d*)(\.\d+)?([eE][+-]?\d+)?$/.test(word)) {
+        // Past the range of a double, JSON.stringify would write null: fix the text instead
+        const number = Number(word);
+        const text = Number.isFinite(number)
+          ? JSON.stringify(number)
+          : word.replace(/^\+/, '').replace(/^(-?)\./, '$10.').replace(/\.(?=[eE]|$)/, '');
+        this._replace(index, text, 'normalizeNumbers');
+      }
+    } else {
+      this._replace(index, JSON.stringify(word), 'quoteBareValues');
+    }
+  }
+
+  // ==================== HELPER METHODS ====================
+
+  /**
+   * Index of the next significant token from pos, or -1 at end of input
+   * Stray words that cannot be keys or values (=>, ```) are dropped on the way
+   * @private
+   */
+  _peek() {
+    return this._peekAfter(this.pos - 1);
+  }
+
+  /**
+   * @private
+   */
+  _peekAfter(index) {
+    const tokens = this.tokens;
+    for (let i = index + 1; i < tokens.length; i++) {
+      if (!tokens.isSignificant(i)) continue;
+      if (tokens.isWord(i) && !this._isWordValue(tokens.value(i))) {
+        this._replace(i, '', 'removeStrayTokens');
+        continue;
+      }
+      return i;
+    }
+    return -1;
+  }
+
+  /**
+   * Literals, number-like words and identifier-like words (user_id, us-east-1); in json5 mode
+   * also signed Infinity/NaN and identifiers with \uXXXX escapes
+   * @private
+   */
+  _isWordValue(word) {
+    if (this.mode === 'json5' && (Json5.number(word) !== null || Json5.identifier(word) !== null)) return true;
+    return Object.prototype.hasOwnProperty.call(RepairingParser.LITERALS, word) ||
+      /^[+-]?\.?\d/.test(word) ||
+      /^[\p{L}_$][\p{L}\p{N}_$.-]*$/u.test(word);
+  }
+
+  /**
+   * @private
+   */
+  _isKey(index) {
+    return this.tokens.isString(index) || this.tokens.isWord(index);
+  }
+
+  /**
+   * @private
+   */
+  _startsValue(index) {
+    return this._isKey(index) || this.tokens.isPunctuation(index, '{[');
+  }
+
+  /**
+   * Input offset of a token
+   * @private
+   */
+  _start(index) {
+    return this.tokens.start(index) + this.offset;
+  }
+
+  /**
+   * @private
+   */
+  _end(index) {
+    return this.tokens.end(index) + this.offset;
+  }
+
+  /**
+   * @private
+   */
+  _replace(index, text, strategy) {
+    this.replacements.set(index, { strategy, text });
+  }
+
+  /**
+   * @private
+   */
+  _insertBefore(index, text, strategy) {
+    if (!this.insertsBefore.has(index)) this.insertsBefore.set(index, []);
+    this.insertsBefore.get(index).push({ strategy, text });
+  }
+
+  /**
+   * @private
+   */
+  _insertAfter(index, text, strategy) {
+    if (!this.insertsAfter.has(index)) this.insertsAfter.set(index, []);
+    this.insertsAfter.get(index).push({ strategy, text });
+  }
+
+  /**
+   * Whether the value just parsed from index was cut off by the end of the input and the
+   * truncation policy drops it: a cut string, or under 'drop-incomplete' also a cut object
+   * (no half records) or a trailing number or literal (it may have had more characters)
+   * Cut arrays stay; they keep their finished elements
+   * @private
+   */
+  _isTruncated(index, tail) {
+    if (this.truncation === 'complete' || this._peek() !== -1) return false;
+    const tokens = this.tokens;
+    if (tokens.isString(index)) return !tokens.closed(index);
+    if (this.truncation !== 'drop-incomplete') return false;
+    return tokens.isWord(index) || (tokens.isPunctuation(index, '{') && this.tail.length > tail);
+  }
+
+  /**
+   * Drop a member or element, along with the closers and the missing comma queued for it
+   * @private
+   */
+  _dropElement(from, to, strategy, tail, missingComma) {
+    this._dropRange(from, to, strategy);
+    this.tail.length = tail;
+    if (missingComma !== -1) this.insertsAfter.get(missingComma).pop();
+  }
+
+  /**
+   * Drop tokens [from, to), discarding any repairs already planned for them
+   * @private
+   */
+  _dropRange(from, to, strategy) {
+    for (let i = from; i < to; i++) {
+      this.replacements.set(i, { strategy, text: '' });
+      this.insertsBefore.delete(i);
+      this.insertsAfter.delete(i);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _fail(message, position) {
+    throw new SyntaxError(`${message} at position ${position}`);
+  }
+
+  /**
+   * Apply the planned repairs, merging adjacent edits made by the same strategy
+   * Only tokens with repairs are visited; the text between them is copied as input slices
+   * @private
+   */
+  _render() {
+    const input = this.input;
+    const parts = [];
+    const edits = [];
+    let cursor = 0; // Input offset copied up to
+    let length = 0;
+
+    const copyTo = (offset) => {
+      if (offset <= cursor) return;
+      parts.push(input.slice(cursor, offset));
+      length += offset - cursor;
+      cursor = offset;
+    };
+    const emit = (strategy, start, end, text) => {
+      copyTo(start);
+      const last = edits[edits.length - 1];
+      if (last && last.strategy === strategy && last.end === start && last.outEnd === length) {
+        last.end = end;
+        last.outEnd += text.length;
+        last.replacement += text;
+      } else {
+        edits.push({ strategy, start, end, outStart: length, outEnd: length + text.length, replacement: text });
+      }
+      parts.push(text);
+      length += text.length;
+      cursor = end;
+    };
+
+    for (const { strategy, start, end, text } of this.head) emit(strategy, start, end, text);
+
+    const indices = new Set([...this.insertsBefore.keys(), ...this.replacements.keys(), ...this.insertsAfter.keys()]);
+    for (const index of [...indices].sort((a, b) => a - b)) {
+      const start = this._start(index);
+      const end = this._end(index);
+      for (const insert of this.insertsBefore.get(index) || []) emit(insert.strategy, start, start, insert.text);
+      const replacement = this.replacements.get(index);
+      if (replacement) emit(replacement.strategy, start, end, replacement.text);
+      for (const insert of this.insertsAfter.get(index) || []) emit(insert.strategy, end, end, insert.text);
+    }
+
+    const end = input.length;
+    copyTo(end);
+    for (const { strategy, text } of this.tail) emit(strategy, end, end, text);
+
+    return { output: parts.join(''), edits };
+  }
+}
+
+export default RepairingParser;
@@ -0,0 +1,570 @@
+import { Json5 } from './json5.js';
+
+/**
+ * PythonRepr - converts Python repr() output to JSON text
+ * Lexes Python literal syntax (prefixed and triple-quoted strings, Python escapes and numbers),
+ * parses it into a light tree that keeps the whitespace between tokens, and renders that as
+ * JSON: tuples and sets become arrays, and common constructor calls (Decimal, datetime,
+ * OrderedDict, ...) become the JSON value they stand for. It never throws; what the end of
+ * the input leaves open stays open for the other repairs to close.
+ */
+export class PythonRepr {
+  // Token patterns, tried in order at each position (strings are recognized separately)
+  static _patterns = [
+    ['whitespace', /[ \t\r\n\f\v]+/y],
+    ['comment', /#[^\n]*/y],
+    ['special', /[+-]?(?:inf|nan)(?![\p{L}\p{N}_])/uy],
+    // A complex number's real and imaginary parts (3+4j) are one token
+    ['number', /[+-]?(?:0[xX][\da-fA-F_]+|0[oO][0-7_]+|0[bB][01_]+|(?:\d[\d_]*(?:\.[\d_]*)?|\.\d[\d_]*)(?:[eE][+-]?\d[\d_]*)?)(?:[+-](?:\d[\d_]*(?:\.[\d_]*)?|\.\d[\d_]*)(?:[eE][+-]?\d[\d_]*)?[jJ]|[lLjJ])?/y],
+    ['name', /[\p{L}_][\p{L}\p{N}_]*(?:\.[\p{L}_][\p{L}\p{N}_]*)*/uy],
+  ];
+
+  static _stringStart = /([rRbBuUfF]{0,2})('''|"""|'|")/y;
+
+  static _escapes = { '\\': '\\', "'": "'", '"': '"', a: '\x07', b: '\b', f: '\f', n: '\n', r: '\r', t: '\t', v: '\v' };
+
+  static _names = { True: 'true', False: 'false', None: 'null', nan: 'null', inf: '1e999' };
+
+  // A complex literal (4j, 3+4j, 1.5e3-2j) ending where the text ends, or starting where it starts
+  static _complexEnd = /(?<![\p{L}\p{N}_.])[+-]?(?:(?:\d[\d_]*(?:\.[\d_]*)?|\.\d[\d_]*)(?:[eE][+-]?\d[\d_]*)?[+-])?(?:\d[\d_]*(?:\.[\d_]*)?|\.\d[\d_]*)(?:[eE][+-]?\d[\d_]*)?[jJ]$/u;
+  static _complexStart = /^[+-]?(?:(?:\d[\d_]*(?:\.[\d_]*)?|\.\d[\d_]*)(?:[eE][+-]?\d[\d_]*)?[+-])?(?:\d[\d_]*(?:\.[\d_]*)?|\.\d[\d_]*)(?:[eE][+-]?\d[\d_]*)?[jJ](?![\p{L}\p{N}_])/u;
+
+  /**
+   * @param {string} input
+   * @returns {string}
+   */
+  static convert(input) {
+    const parser = new PythonRepr(input);
+    return parser._parseElements(null).elements.map(element => parser._renderElement(element)).join('') +
+      parser.rest;
+  }
+
+  /**
+   * Whether a complex literal ends at start or begins at end of text: the quotes that turn it
+   * into a string go there
+   * @param {string} text
+   * @param {number} start
+   * @param {number} end
+   * @returns {boolean}
+   */
+  static touchesComplex(text, start, end) {
+    return this._complexEnd.test(text.slice(Math.max(0, start - 64), start)) ||
+      this._complexStart.test(text.slice(end, end + 64));
+  }
+
+  /**
+   * @param {string} input
+   */
+  constructor(input) {
+    this.input = input;
+    this.tokens = PythonRepr._lex(input);
+    this.pos = 0;
+    this.rest = ''; // Stray closers at the root, kept as written
+  }
+
+  // ==================== LEXER ====================
+
+  /**
+   * Split input into tokens: { type, text } plus decoded fields for strings
+   * @private
+   */
+  static _lex(input) {
+    const tokens = [];
+    let i = 0;
+    outer: while (i < input.length) {
+      const string = this._lexString(input, i);
+      if (string) {
+        tokens.push(string);
+        i = string.end;
+        continue;
+      }
+      for (const [type, pattern] of this._patterns) {
+        pattern.lastIndex = i;
+        const match = pattern.exec(input);
+        if (match && match[0]) {
+          tokens.push({ type, text: match[0] });
+          i += match[0].length;
+          continue outer;
+        }
+      }
+      if (input[i] === '<') {
+        // <class 'list'>, <Color.RED: 1>, <object at 0x...>
+        const end = this._angleEnd(input, i);
+        tokens.push({ type: 'angle', text: input.slice(i, end) });
+        i = end;
+        continue;
+      }
+      tokens.push({ type: '{}[](),:='.includes(input[i]) ? 'punctuation' : 'other', text: input[i] });
+      i++;
+    }
+    return tokens;
+  }
+
+  /**
+   * A string literal at i, or null
+   * @private
+   */
+  static _lexString(input, i) {
+    this._stringStart.lastIndex = i;
+    const match = this._stringStart.exec(input);
+    if (!match) return null;
+    const [opening, prefix, quote] = match;
+    const raw = /r/i.test(prefix);
+    const bytes = /b/i.test(prefix);
+
+    let j = i + opening.length;
+    let closed = false;
+    while (j < input.length) {
+      if (input[j] === '\\') {
+        j += 2;
+      } else if (input.startsWith(quote, j)) {
+        closed = true;
+        break;
+      } else {
+        j++;
+      }
+    }
+    const body = input.slice(i + opening.length, Math.min(j, input.length));
+    const end = closed ? j + quote.length : input.length;
+    const value = raw ? body : this._decode(body, bytes);
+    return { type: 'string', text: input.slice(i, end), value, closed, end };
+  }
+
+  /**
+   * Python escape sequences to characters; unknown escapes keep their backslash, as in Python
+   * @private
+   */
+  static _decode(body, bytes) {
+    return body.replace(/\\(\r\n|[0-7]{1,3}|x[\da-fA-F]{2}|u[\da-fA-F]{4}|U[\da-fA-F]{8}|N\{[^}]*\}|[\s\S])/g, (match, escaped) => {
+      const first = escaped[0];
+      if (escaped === '\r\n' || escaped === '\n') return ''; // Line continuation
+      if (/[0-7]/.test(first)) return String.fromCharCode(parseInt(escaped, 8));
+      if (first === 'x' && escaped.length === 3) return String.fromCharCode(parseInt(escaped.slice(1), 16));
+      // \N{NAME} needs the Unicode name table; bytes have no \u or \U
+      if (first === 'N' || (bytes && /^[uU]/.test(escaped))) return match;
+      if (first === 'u' && escaped.length === 5) return String.fromCharCode(parseInt(escaped.slice(1), 16));
+      if (first === 'U' && escaped.length === 9) {
+        const code = parseInt(escaped.slice(1), 16);
+        return code <= 0x10ffff ? String.fromCodePoint(code) : match;
+      }
+      return PythonRepr._escapes[escaped] ?? match;
+    });
+  }
+
+  /**
+   * End of a <...> repr, skipping quoted text inside it
+   * @private
+   */
+  static _angleEnd(input, i) {
+    let quote = null;
+    for (let j = i + 1; j < input.length; j++) {
+      const char = input[j];
+      if (quote) {
+        if (char === quote) quote = null;
+      } else if (char === "'" || char === '"') {
+        quote = char;
+      } else if (char === '>') {
+        return j + 1;
+      }
+    }
+    return input.length;
+  }
+
+  // ==================== PARSER ====================
+
+  /**
+   * Parse comma-separated elements up to a closer
+   * opener is '(', '[' or '{', 'call' for arguments, or null for the root, which ends with the
+   * input. Each element holds a key (dict key or keyword argument) and a value, as lists of
+   * nodes and whitespace strings
+   * @private
+   */
+  _parseElements(opener) {
+    const keySeparator = { '{': ':', call: '=' }[opener];
+    const elements = [];
+    let element = PythonRepr._element();
+    let closed = false;
+
+    while (this.pos < this.tokens.length) {
+      const token = this.tokens[this.pos++];
+      const { type, text } = token;
+
+      if (type === 'punctuation' && ')]}'.includes(text)) {
+        if (opener === null) {
+          // Nothing to close at the root: keep the rest as written
+          this.rest = this.tokens.slice(this.pos - 1).map(rest => rest.text).join('');
+          this.pos = this.tokens.length;
+          break;
+        }
+        closed = true; // Any closer ends the innermost container
+        break;
+      }
+      if (opener !== null && type === 'punctuation' && text === ',') {
+        element.comma = true;
+        elements.push(element);
+        element = PythonRepr._element();
+      } else if (type === 'punctuation' && text === keySeparator && !element.key &&
+        PythonRepr._significant(element.value).length === 1) {
+        element.key = element.value;
+        element.separator = text;
+        element.value = [];
+      } else if (type === 'whitespace') {
+        element.value.push(text);
+      } else if (type !== 'comment') {
+        element.value.push(this._parseValue(token));
+      }
+    }
+
+    if (element.value.length || element.key) elements.push(element);
+    return { elements, closed };
+  }
+
+  /**
+   * @private
+   */
+  _parseValue(token) {
+    const { type, text } = token;
+    if (type === 'punctuation' && '([{'.includes(text)) {
+      return { type: 'sequence', opener: text, ...this._parseElements(text) };
+    }
+    if (type === 'name' && this.tokens[this.pos]?.text === '(') {
+      this.pos++;
+      return { type: 'call', name: text, ...this._parseElements('call') };
+    }
+    return token;
+  }
+
+  /**
+   * @private
+   */
+  static _element() {
+    return { key: null, separator: null, value: [], comma: false };
+  }
+
+  /**
+   * Nodes without the whitespace between them
+   * @private
+   */
+  static _significant(parts) {
+    return parts.filter(part => typeof part !== 'string');
+  }
+
+  // ==================== RENDERING ====================
+
+  /**
+   * @private
+   */
+  _render(node) {
+    switch (node.type) {
+      case 'sequence':
+        return this._renderSequence(node);
+      case 'call':
+        return this._renderCall(node);
+      case 'string':
+        return PythonRepr._renderString(node.value, node.closed);
+      case 'number':
+        return PythonRepr._renderNumber(node.text);
+      case 'special':
+        return node.text.startsWith('-') ? (node.text.endsWith('inf') ? '-1e999' : 'null') : PythonRepr._names[node.text.replace('+', '')];
+      case 'name':
+        return PythonRepr._names[node.text] ?? node.text;
+      case 'angle':
+        return JSON.stringify(node.text);
+      default:
+        return node.text;
+    }
+  }
+
+  /**
+   * @private
+   */
+  _renderParts(parts) {
+    return parts.map(part => (typeof part === 'string' ? part : this._render(part))).join('');
+  }
+
+  /**
+   * An element as written, with dict keys as strings
+   * @private
+   */
+  _renderElement(element, dropComma = false) {
+    let text = '';
+    if (element.key) {
+      text += this._renderKey(element.key) + ':';
+    }
+    text += this._renderParts(element.value);
+    if (element.comma && !dropComma) text += ',';
+    return text;
+  }
+
+  /**
+   * A dict key or keyword argument as a JSON string
+   * @private
+   */
+  _renderKey(parts) {
+    const [node] = PythonRepr._significant(parts);
+    const text = node.type === 'name' && !Object.prototype.hasOwnProperty.call(PythonRepr._names, node.text)
+      ? JSON.stringify(node.text)
+      : this._render(node);
+    const key = text.startsWith('"') ? text : JSON.stringify(text);
+    // Keep the whitespace around the key
+    const index = parts.indexOf(node);
+    return parts.slice(0, index).join('') + key + parts.slice(index + 1).join('');
+  }
+
+  /**
+   * ( ) and [ ] become arrays; { } is a dict, or a set (an array) when it has no keys
+   * Parentheses around a single value with no comma only group it, as in the repr (3+4j)
+   * @private
+   */
+  _renderSequence(node) {
+    const { opener, elements, closed } = node;
+    if (opener === '(' && closed && elements.length === 1 && !elements[0].comma && !elements[0].key &&
+      PythonRepr._significant(elements[0].value).length === 1) {
+      return this._renderParts(elements[0].value).trim();
+    }
+    const isDict = opener === '{' && (!elements.length || elements.some(element => element.key));
+    const [open, close] = isDict ? ['{', '}'] : ['[', ']'];
+    // A trailing comma (as in the one-element tuple (1,)) is dropped once the container is closed
+    const last = closed ? elements.map(element => !!(element.key || PythonRepr._significant(element.value).length)).lastIndexOf(true) : -1;
+    const body = elements.map((element, index) => this._renderElement(element, index === last)).join('');
+    return open + body + (closed ? close : '');
+  }
+
+  /**
+   * A constructor call as the JSON value it stands for (see _calls)
+   * @private
+   */
+  _renderCall(node) {
+    const [args, kwargs] = this._arguments(node);
+
+    const name = node.name.slice(node.name.lastIndexOf('.') + 1);
+    const converter = node.closed && PythonRepr._calls[name];
+    const converted = converter ? converter.call(this, args, kwargs, node) : undefined;
+    if (converted !== undefined) return converted;
+
+    // Anything else: its only argument, an object of keyword arguments, or an array of arguments
+    const keys = Object.keys(kwargs);
+    if (!keys.length && args.length === 1 && node.closed) return this._renderParts(args[0].value).trim();
+    if (keys.length && !args.length) {
+      return '{' + keys.map(key => `${JSON.stringify(key)}: ${this._value(kwargs[key])}`).join(', ') + (node.closed ? '}' : '');
+    }
+    return '[' + args.map(element => this._value(element)).join(', ') +
+      (node.closed ? ']' : '');
+  }
+
+  /**
+   * Rendered value of an element, without surrounding whitespace
+   * @private
+   */
+  _value(element) {
+    return element ? this._renderParts(element.value).trim() : undefined;
+  }
+
+  /**
+   * The single node of an element's value
+   * @private
+   */
+  static _node(element) {
+    const nodes = element ? PythonRepr._significant(element.value) : [];
+    return nodes.length === 1 ? nodes[0] : null;
+  }
+
+  /**
+   * Number a node stands for (numbers and numeric strings), or NaN
+   * @private
+   */
+  static _number(element) {
+    const node = PythonRepr._node(element);
+    if (!node || (node.type !== 'number' && node.type !== 'string')) return NaN;
+    return Number(node.type === 'string' ? node.value : node.text.replace(/_/g, ''));
+  }
+
+  /**
+   * Elements of a sequence node (list, tuple, set), or null
+   * @private
+   */
+  static _items(element) {
+    const node = PythonRepr._node(element);
+    return node && node.type === 'sequence' ? node.elements : null;
+  }
+
+  /**
+   * @private
+   */
+  static _renderString(value, closed) {
+    const text = JSON.stringify(value);
+    return closed ? text : text.slice(0, -1);
+  }
+
+  /**
+   * Python number as a JSON number: no underscores or L suffix, hexadecimal/octal/binary in decimal
+   * @private
+   */
+  static _renderNumber(text) {
+    const clean = text.replace(/_/g, '').replace(/[lL]$/, '');
+    if (/[jJ]$/.test(clean)) return JSON.stringify(clean); // Complex numbers have no JSON form
+    const based = /^([+-]?)(0[oObB][0-7]+)$/.exec(clean);
+    if (based) return (based[1] === '-' ? '-' : '') + BigInt(based[2].toLowerCase()).toString();
+    return Json5.number(clean) ?? clean;
+  }
+
+  /**
+   * Two-digit (or wider) zero-padded number
+   * @private
+   */
+  static _pad(number, width = 2) {
+    return String(number).padStart(width, '0');
+  }
+
+  /**
+   * Time of day in isoformat(): HH:MM:SS, plus microseconds when not zero
+   * @private
+   */
+  static _isoTime(hour = 0, minute = 0, second = 0, microsecond = 0) {
+    const pad = PythonRepr._pad;
+    return `${pad(hour)}:${pad(minute)}:${pad(second)}` + (microsecond ? '.' + pad(microsecond, 6) : '');
+  }
+
+  /**
+   * UTC offset of a tzinfo argument: +00:00 for utc, +HH:MM for a timezone(timedelta(...)), else ''
+   * @private
+   */
+  _offset(element) {
+    const node = PythonRepr._node(element);
+    if (!node) return '';
+    if (node.type === 'name' && /(^|\.)utc$/i.test(node.text)) return '+00:00';
+    if (node.type === 'call' && /(^|\.)timezone$/.test(node.name)) {
+      const offset = this._render(node);
+      return offset.startsWith('"') ? JSON.parse(offset) : '';
+    }
+    return '';
+  }
+
+  /**
+   * Seconds in a timedelta(days, seconds, microseconds) call
+   * @private
+   */
+  static _seconds(args, kwargs) {
+    const [days = 0, seconds = 0, microseconds = 0] = ['days', 'seconds', 'microseconds']
+      .map((name, index) => PythonRepr._number(kwargs[name] ?? args[index]) || 0);
+    return days * 86400 + seconds + microseconds / 1e6;
+  }
+
+  /**
+   * Object from a list of (key, value) pairs, or null when the element is not one
+   * @private
+   */
+  _pairs(element) {
+    const items = PythonRepr._items(element);
+    if (!items) return null;
+    const members = [];
+    for (const item of items) {
+      const pair = PythonRepr._items(item);
+      if (!pair || pair.length !== 2) return null;
+      members.push(`${this._renderKey(pair[0].value).trim()}: ${this._value(pair[1])}`);
+    }
+    return '{' + members.join(', ') + '}';
+  }
+
+  // Calls that stand for a JSON value, by name without module prefix. Each gets the positional
+  // and keyword argument elements and returns JSON text, or undefined to fall back to the default
+  static _calls = {
+    Decimal(args) {
+      const node = PythonRepr._node(args[0]);
+      if (!node || node.type !== 'string') return this._value(args[0]);
+      return Json5.number(node.value.trim().replace(/^([+-]?)sNaN$/, 'NaN')) ?? JSON.stringify(node.value);
+    },
+    float(args) {
+      const node = PythonRepr._node(args[0]);
+      if (!node || node.type !== 'string') return undefined;
+      const value = node.value.trim().toLowerCase().replace(/^([+-]?)(inf|infinity)$/, '$1Infinity').replace(/^[+-]?nan$/, 'NaN');
+      return Json5.number(value) ?? undefined;
+    },
+    datetime(args, kwargs) {
+      const fields = ['year', 'month', 'day', 'hour', 'minute', 'second', 'microsecond']
+        .map((name, index) => PythonRepr._number(kwargs[name] ?? args[index]));
+      if (fields.slice(0, 3).some(Number.isNaN)) return undefined;
+      const [year, month, day, ...time] = fields.map(field => (Number.isNaN(field) ? 0 : field));
+      const pad = PythonRepr._pad;
+      return JSON.stringify(
+        `${pad(year, 4)}-${pad(month)}-${pad(day)}T${PythonRepr._isoTime(...time)}${this._offset(kwargs.tzinfo ?? args[7])}`,
+      );
+    },
+    date(args, kwargs) {
+      const [year, month, day] = ['year', 'month', 'day'].map((name, index) => PythonRepr._number(kwargs[name] ?? args[index]));
+      if ([year, month, day].some(Number.isNaN)) return undefined;
+      const pad = PythonRepr._pad;
+      return JSON.stringify(`${pad(year, 4)}-${pad(month)}-${pad(day)}`);
+    },
+    time(args, kwargs) {
+      const fields = ['hour', 'minute', 'second', 'microsecond']
+        .map((name, index) => PythonRepr._number(kwargs[name] ?? args[index]))
+        .map(field => (Number.isNaN(field) ? 0 : field));
+      return JSON.stringify(PythonRepr._isoTime(...fields) + this._offset(kwargs.tzinfo ?? args[4]));
+    },
+    timedelta(args, kwargs) {
+      return String(PythonRepr._seconds(args, kwargs));
+    },
+    timezone(args) {
+      const delta = PythonRepr._node(args[0]);
+      if (!delta || delta.type !== 'call') return undefined;
+      const seconds = PythonRepr._seconds(...this._arguments(delta));
+      const minutes = Math.round(Math.abs(seconds) / 60);
+      const pad = PythonRepr._pad;
+      return JSON.stringify(`${seconds < 0 ? '-' : '+'}${pad(Math.floor(minutes / 60))}:${pad(minutes % 60)}`);
+    },
+    OrderedDict(args) {
+      if (!args.length) return '{}';
+      return this._pairs(args[0]) ?? this._value(args[0]);
+    },
+    defaultdict(args) {
+      return args.length > 1 ? this._value(args[1]) : '{}';
+    },
+    Counter(args) {
+      return args.length ? this._value(args[0]) : '{}';
+    },
+    dict(args, kwargs) {
+      const members = Object.entries(kwargs).map(([key, element]) => `${JSON.stringify(key)}: ${this._value(element)}`);
+      if (!args.length) return '{' + members.join(', ') + '}';
+      const base = this._pairs(args[0]) ?? this._value(args[0]);
+      if (!members.length || !base.startsWith('{')) return base;
+      return base === '{}' ? '{' + members.join(', ') + '}' : base.slice(0, -1) + ', ' + members.join(', ') + '}';
+    },
+    set(args) {
+      return PythonRepr._calls.list.call(this, args);
+    },
+    frozenset(args) {
+      return PythonRepr._calls.list.call(this, args);
+    },
+    tuple(args) {
+      return PythonRepr._calls.list.call(this, args);
+    },
+    list(args) {
+      if (!args.length) return '[]';
+      const items = PythonRepr._items(args[0]);
+      return items ? '[' + items.map(item => this._value(item)).join(', ') + ']' : undefined;
+    },
+    UUID(args) {
+      return this._value(args[0]);
+    },
+  };
+
+  /**
+   * Positional and keyword argument elements of a call node
+   * @private
+   */
+  _arguments(node) {
+    const args = [];
+    const kwargs = {};
+    for (const element of node.elements) {
+      if (element.key) {
+        kwargs[PythonRepr._significant(element.key)[0].text] = element;
+      } else if (PythonRepr._significant(element.value).length) {
+        args.push(element);
+      }
+    }
+    return [args, kwargs];
+  }
+}
+
+export default PythonRepr;
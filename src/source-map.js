@@ -0,0 +1,276 @@
+/**
+ * HealSourceMap - translates positions in healed output back to the original input
+ * Built from the per-stage hunks recorded while healing
+ */
+export class HealSourceMap {
+  /**
+   * @param {string} input - Original (raw) input
+   * @param {string} output - Healed output
+   * @param {Array<Array<object>>} layers - Hunks for each stage, in pipeline order
+   */
+  constructor(input, output, layers) {
+    this.input = input;
+    this.output = output;
+    this.layers = layers;
+    this._lineStarts = null;
+  }
+
+  /**
+   * Map an offset in a stage's output back to that stage's input
+   * Offsets inside replaced text snap to the start or end of the replaced range. Text deleted right at
+   * the offset lies before a start and after an end, so a start skips past it
+   * @param {Array<object>} hunks - Sorted hunks: { start, end, outStart, outEnd }
+   * @param {number} offset - Offset in the stage output
+   * @param {'start'|'end'} [bias='start']
+   * @returns {number}
+   */
+  static mapOffset(hunks, offset, bias = 'start') {
+    let shift = 0;
+    for (const hunk of hunks) {
+      const deletedHere = offset === hunk.outStart && hunk.outStart === hunk.outEnd;
+      if (offset < hunk.outStart || (offset === hunk.outStart && !(deletedHere && bias === 'start'))) break;
+      if (offset < hunk.outEnd) {
+        return bias === 'end' ? hunk.end : hunk.start;
+      }
+      shift = hunk.outEnd - hunk.end;
+    }
+    return offset - shift;
+  }
+
+  /**
+   * Translate an output offset to an offset in the original input
+   * @param {number} offset - Offset in the healed output
+   * @param {'start'|'end'} [bias='start'] - Which side of inserted text to snap to
+   * @returns {number}
+   */
+  originalOffset(offset, bias = 'start') {
+    let result = Math.max(0, Math.min(offset, this.output.length));
+    for (let i = this.layers.length - 1; i >= 0; i--) {
+      result = HealSourceMap.mapOffset(this.layers[i], result, bias);
+    }
+    return result;
+  }
+
+  /**
+   * Translate an output offset to a line/column in the original input
+   * @param {number} offset - Offset in the healed output
+   * @param {'start'|'end'} [bias='start']
+   * @returns {{offset: number, line: number, column: number}} - 1-based line and column
+   */
+  originalPosition(offset, bias = 'start') {
+    const original = this.originalOffset(offset, bias);
+    return { offset: original, ...this._lineColumn(original) };
+  }
+
+  /**
+   * Translate an output range to a range in the original input
+   * @param {number} start - Start offset in the healed output
+   * @param {number} end - End offset (exclusive) in the healed output
+   * @returns {{start: object, end: object}}
+   */
+  originalRange(start, end) {
+    return {
+      start: this.originalPosition(start, 'start'),
+      end: this.originalPosition(end, 'end'),
+    };
+  }
+
+  /**
+   * Locate the value at a JSON path in the healed output
+   * @param {string|Array<string|number>} path - e.g. '$.items[3].price' or ['items', 3, 'price']
+   * @returns {[number, number]|null} - Output offsets of the value, or null if not found
+   */
+  locatePath(path) {
+    const segments = Array.isArray(path) ? path : HealSourceMap.parsePath(path);
+    if (!segments) return null;
+
+    const text = this.output;
+    try {
+      let i = this._skipWhitespace(0);
+      for (const segment of segments) {
+        i = text[i] === '{'
+          ? this._findMember(i, String(segment))
+          : text[i] === '[' ? this._findElement(i, Number(segment)) : -1;
+        if (i === -1) return null;
+      }
+      return i < text.length ? [i, this._skipValue(i)] : null;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Translate a JSON path in the healed output to a range in the original input
+   * @param {string|Array<string|number>} path
+   * @returns {{start: object, end: object}|null}
+   */
+  originalRangeForPath(path) {
+    const located = this.locatePath(path);
+    return located ? this.originalRange(located[0], located[1]) : null;
+  }
+
+  /**
+   * Split a JSONPath-style string into segments
+   * Supports $.key, $["key"], $['key'] and $[0]; the leading $ is optional
+   * @param {string} path
+   * @returns {Array<string|number>|null}
+   */
+  static parsePath(path) {
+    if (typeof path !== 'string') return null;
+    const segments = [];
+    let i = path.startsWith('$') ? 1 : 0;
+
+    while (i < path.length) {
+      const rest = path.slice(i);
+      const match = rest.match(/^\.([^.[\]]+)/) ||
+        rest.match(/^\[(\d+)\]/) ||
+        rest.match(/^\[(["'])((?:\\.|(?!\1)[^\\])*)\1\]/) ||
+        (i === 0 && rest.match(/^([^.[\]]+)/));
+      if (!match) return null;
+
+      if (match.length === 3) {
+        segments.push(match[2].replace(/\\(.)/g, '$1'));
+      } else if (rest[0] === '[') {
+        segments.push(Number(match[1]));
+      } else {
+        segments.push(match[1]);
+      }
+      i += match[0].length;
+    }
+
+    return segments;
+  }
+
+  /**
+   * Join segments into a JSONPath-style string (the inverse of parsePath)
+   * @param {Array<string|number>} segments
+   * @returns {string}
+   */
+  static formatPath(segments) {
+    let path = '$';
+    for (const segment of segments) {
+      if (typeof segment === 'number') {
+        path += `[${segment}]`;
+      } else if (/^[\p{L}_$][\p{L}\p{N}_$]*$/u.test(segment)) {
+        path += `.${segment}`;
+      } else {
+        path += `["${segment.replace(/["\\]/g, '\\$&')}"]`;
+      }
+    }
+    return path;
+  }
+
+  // ==================== HELPER METHODS ====================
+
+  /**
+   * Compute 1-based line/column for an input offset
+   * @private
+   */
+  _lineColumn(offset) {
+    if (!this._lineStarts) {
+      this._lineStarts = [0];
+      for (let i = 0; i < this.input.length; i++) {
+        if (this.input[i] === '\n') this._lineStarts.push(i + 1);
+      }
+    }
+
+    let low = 0;
+    let high = this._lineStarts.length - 1;
+    while (low < high) {
+      const mid = (low + high + 1) >> 1;
+      if (this._lineStarts[mid] <= offset) {
+        low = mid;
+      } else {
+        high = mid - 1;
+      }
+    }
+    return { line: low + 1, column: offset - this._lineStarts[low] + 1 };
+  }
+
+  /**
+   * Find the value offset of a key inside the object starting at i (last duplicate wins, as in JSON.parse)
+   * @private
+   */
+  _findMember(i, key) {
+    const text = this.output;
+    let found = -1;
+    i = this._skipWhitespace(i + 1);
+
+    while (text[i] !== '}') {
+      const keyEnd = this._skipValue(i);
+      const name = JSON.parse(text.slice(i, keyEnd));
+      const valueStart = this._skipWhitespace(this._skipWhitespace(keyEnd) + 1);
+      if (name === key) found = valueStart;
+      i = this._skipWhitespace(this._skipValue(valueStart));
+      if (text[i] === ',') i = this._skipWhitespace(i + 1);
+    }
+
+    return found;
+  }
+
+  /**
+   * Find the offset of the nth element inside the array starting at i
+   * @private
+   */
+  _findElement(i, index) {
+    const text = this.output;
+    if (!Number.isInteger(index) || index < 0) return -1;
+    i = this._skipWhitespace(i + 1);
+
+    for (let n = 0; text[i] !== ']'; n++) {
+      if (n === index) return i;
+      i = this._skipWhitespace(this._skipValue(i));
+      if (text[i] === ',') i = this._skipWhitespace(i + 1);
+    }
+
+    return -1;
+  }
+
+  /**
+   * Return the offset just past the value starting at i
+   * @private
+   */
+  _skipValue(i) {
+    const text = this.output;
+    const char = text[i];
+
+    if (char === '"') {
+      i++;
+      while (i < text.length && text[i] !== '"') {
+        i += text[i] === '\\' ? 2 : 1;
+      }
+      return i + 1;
+    }
+
+    if (char === '{' || char === '[') {
+      let depth = 0;
+      while (i < text.length) {
+        const c = text[i];
+        if (c === '"') {
+          i = this._skipValue(i);
+          continue;
+        }
+        if (c === '{' || c === '[') depth++;
+        if (c === '}' || c === ']') {
+          depth--;
+          if (depth === 0) return i + 1;
+        }
+        i++;
+      }
+      return i;
+    }
+
+    while (i < text.length && !/[\s,\]}]/.test(text[i])) i++;
+    return i;
+  }
+
+  /**
+   * @private
+   */
+  _skipWhitespace(i) {
+    while (i < this.output.length && /\s/.test(this.output[i])) i++;
+    return i;
+  }
+}
+
+export default HealSourceMap;
@@ -0,0 +1,381 @@
+import { RepairingParser } from './parser.js';
+import { HealSourceMap } from './source-map.js';
+import { Tokenizer } from './tokenizer.js';
+
+/**
+ * HealingStream - incremental healing for JSON that arrives a few characters at a time
+ * push() advances a small state machine over the new text only, building the parsed value
+ * as it goes. snapshot() closes whatever is still open (strings, arrays, objects) the way
+ * closeBrokenStrings and balanceBrackets would, without touching the text seen before.
+ * Half-written keys and words are left out until they are complete, so a snapshot never
+ * shows a key that may still change.
+ */
+export class HealingStream {
+  static _escapes = { b: '\b', f: '\f', n: '\n', r: '\r', t: '\t' };
+
+  constructor() {
+    this.done = false;    // The root value has been closed; later text is ignored
+    this.root = undefined;
+    this.stack = [];      // Open containers: { container, isObject, key, slot }
+    this.token = null;    // Partial string or word: { type, value, quote, escape, isKey }
+    this.comment = null;  // 'slash' (a '/' that may open a comment), 'line' or 'block'
+    this._changed = false;
+    this._snapshot = undefined;
+  }
+
+  /**
+   * Feed the next chunk of text
+   * @param {string} chunk
+   * @returns {HealingStream} - this, for chaining
+   */
+  push(chunk) {
+    if (typeof chunk !== 'string') {
+      throw new TypeError(`Chunk must be a string, got ${chunk === null ? 'null' : typeof chunk}`);
+    }
+
+    let i = 0;
+    while (i < chunk.length && !this.done) {
+      if (this.token && this.token.type === 'string') {
+        i = this._readString(chunk, i);
+      } else if (this.comment) {
+        i = this._readComment(chunk, i);
+      } else {
+        this._readChar(chunk[i]);
+        i++;
+      }
+    }
+    if (chunk) this._changed = true;
+    return this;
+  }
+
+  /**
+   * Best-effort value parsed so far, or undefined before the root { or [ has arrived
+   * The open containers around the tail are fresh copies, so earlier snapshots never change;
+   * completed nested values are shared and keep their identity between snapshots
+   * @returns {any}
+   */
+  snapshot() {
+    if (this.done || this.root === undefined) return this.root;
+    if (!this._changed) return this._snapshot;
+
+    let child = this._partialValue();
+    for (let depth = this.stack.length - 1; depth >= 0; depth--) {
+      const frame = this.stack[depth];
+      const copy = frame.isObject ? { ...frame.container } : frame.container.slice();
+      if (child !== undefined) {
+        if (depth === this.stack.length - 1) {
+          // The partial string or word at the very end
+          if (!frame.isObject) {
+            copy.push(child);
+          } else if (frame.key !== null) {
+            HealingStream._set(copy, frame.key, child);
+          }
+        } else if (this.stack[depth + 1].slot !== null) {
+          HealingStream._set(copy, this.stack[depth + 1].slot, child);
+        }
+      }
+      child = copy;
+    }
+
+    this._snapshot = child;
+    this._changed = false;
+    return child;
+  }
+
+  /**
+   * Paths in snapshot() whose values are not final yet, outermost first
+   * kind is 'object' (later keys may follow), 'array' (more elements may follow),
+   * 'string' (cut off mid-string) or 'value' (a number or literal that may continue)
+   * @returns {Array<{path: string, kind: string}>}
+   */
+  partialPaths() {
+    return this._partialEntries()
+      .filter(entry => entry.kind !== 'key' && entry.kind !== 'word')
+      .map(({ segments, kind }) => ({ path: HealSourceMap.formatPath(segments), kind }));
+  }
+
+  /**
+   * Open containers and the partial tail, with path segments
+   * Also reports a key still waiting for its value as kind 'key', and a cut-off word that is no
+   * literal or number yet (`tru`, `1e`) as kind 'word'; snapshots leave both out
+   * @private
+   */
+  _partialEntries() {
+    if (this.done || this.root === undefined) return [];
+    const entries = [];
+    const segments = [];
+
+    for (let depth = 0; depth < this.stack.length; depth++) {
+      const frame = this.stack[depth];
+      if (depth > 0) {
+        // A container with no key to live under is not part of the value
+        if (frame.slot === null) return entries;
+        segments.push(frame.slot);
+      }
+      entries.push({ segments: segments.slice(), kind: frame.isObject ? 'object' : 'array' });
+    }
+
+    const frame = this._top();
+    const token = this.token;
+    if (token && token.isKey) {
+      entries.push({ segments: [...segments, token.value], kind: 'key' });
+    } else if (token) {
+      const slot = frame.isObject ? frame.key : frame.container.length;
+      const kind = token.type === 'string' ? 'string' : this._partialValue() !== undefined ? 'value' : 'word';
+      if (slot !== null) entries.push({ segments: [...segments, slot], kind });
+    } else if (frame.isObject && frame.key !== null) {
+      entries.push({ segments: [...segments, frame.key], kind: 'key' });
+    }
+    return entries;
+  }
+
+  // ==================== STATE MACHINE ====================
+
+  /**
+   * One character outside strings and comments
+   * @private
+   */
+  _readChar(char) {
+    // Skip prose and markdown fences before the root value
+    if (this.root === undefined && char !== '{' && char !== '[') return;
+
+    if (this.token) {
+      if (!HealingStream._endsWord(char)) {
+        this.token.value += char;
+        return;
+      }
+      this._finishWord();
+    }
+
+    if (char === '{' || char === '[') {
+      this._open(char === '{');
+    } else if (char === '}' || char === ']') {
+      // Any closer ends the innermost container (a mismatched one is treated as the right one)
+      this.stack.pop();
+      if (!this.stack.length) this.done = true;
+    } else if (char === ',') {
+      // A key that never got its value is dropped
+      const frame = this._top();
+      if (frame && frame.isObject) frame.key = null;
+    } else if (char === '"' || char === "'") {
+      this.token = { type: 'string', value: '', quote: char, escape: null, isKey: this._atKey() };
+    } else if (char === '/') {
+      this.comment = 'slash';
+    } else if (char !== ':' && !/\s/.test(char)) {
+      this.token = { type: 'word', value: char, isKey: this._atKey() };
+    }
+  }
+
+  /**
+   * Read string content from chunk[i], returning where to continue
+   * @private
+   */
+  _readString(chunk, i) {
+    const token = this.token;
+    while (i < chunk.length) {
+      const char = chunk[i];
+      if (token.escape !== null) {
+        this._readEscape(char);
+        i++;
+      } else if (char === '\\') {
+        token.escape = '';
+        i++;
+      } else if (char === token.quote) {
+        this.token = null;
+        this._addScalar(token.value, token.isKey);
+        return i + 1;
+      } else {
+        // Copy the run up to the next quote or backslash in one go
+        let end = i + 1;
+        while (end < chunk.length && chunk[end] !== token.quote && chunk[end] !== '\\') end++;
+        token.value += chunk.slice(i, end);
+        i = end;
+      }
+    }
+    return i;
+  }
+
+  /**
+   * One character of an escape sequence (the backslash has been read)
+   * @private
+   */
+  _readEscape(char) {
+    const token = this.token;
+    if (token.escape === '') {
+      if (char === 'u') {
+        token.escape = 'u';
+        return;
+      }
+      token.value += HealingStream._escapes[char] ?? char;
+      token.escape = null;
+      return;
+    }
+
+    // \uXXXX: collect four hex digits; anything else keeps the sequence as written
+    if (/[0-9a-fA-F]/.test(char) && token.escape.length < 5) {
+      token.escape += char;
+      if (token.escape.length === 5) {
+        token.value += String.fromCharCode(parseInt(token.escape.slice(1), 16));
+        token.escape = null;
+      }
+      return;
+    }
+    token.value += token.escape + char;
+    token.escape = null;
+  }
+
+  /**
+   * Skip comment text from chunk[i], returning where to continue
+   * @private
+   */
+  _readComment(chunk, i) {
+    if (this.comment === 'slash') {
+      const char = chunk[i];
+      if (char === '/' || char === '*') {
+        this.comment = char === '/' ? 'line' : 'block';
+        return i + 1;
+      }
+      // Not a comment after all: the slash starts a bare word
+      this.comment = null;
+      this.token = { type: 'word', value: '/', isKey: this._atKey() };
+      return i;
+    }
+
+    if (this.comment === 'line') {
+      const end = chunk.indexOf('\n', i);
+      if (end === -1) return chunk.length;
+      this.comment = null;
+      return end + 1;
+    }
+
+    // Block comment; 'block*' means the previous chunk ended with its '*'
+    if (this.comment === 'block*' && chunk[i] === '/') {
+      this.comment = null;
+      return i + 1;
+    }
+    const end = chunk.indexOf('*/', i);
+    if (end !== -1) {
+      this.comment = null;
+      return end + 2;
+    }
+    this.comment = chunk.endsWith('*') ? 'block*' : 'block';
+    return chunk.length;
+  }
+
+  // ==================== VALUE BUILDING ====================
+
+  /**
+   * @private
+   */
+  _finishWord() {
+    const { value, isKey } = this.token;
+    this.token = null;
+    if (isKey) {
+      this._addScalar(value, true);
+    } else {
+      const word = HealingStream._wordValue(value);
+      this._addScalar(word === undefined ? value : word, false);
+    }
+  }
+
+  /**
+   * Store a finished key or value in the innermost container
+   * @private
+   */
+  _addScalar(value, isKey) {
+    const frame = this._top();
+    if (!frame) return;
+    if (isKey) {
+      frame.key = value;
+    } else if (!frame.isObject) {
+      frame.container.push(value);
+    } else if (frame.key !== null) {
+      HealingStream._set(frame.container, frame.key, value);
+      frame.key = null;
+    }
+  }
+
+  /**
+   * Open a container, attaching it to its parent right away
+   * @private
+   */
+  _open(isObject) {
+    const container = isObject ? {} : [];
+    const parent = this._top();
+    let slot = null;
+
+    if (!parent) {
+      this.root = container;
+    } else if (!parent.isObject) {
+      slot = parent.container.length;
+      parent.container.push(container);
+    } else if (parent.key !== null) {
+      slot = parent.key;
+      HealingStream._set(parent.container, slot, container);
+      parent.key = null;
+    }
+    this.stack.push({ container, isObject, key: null, slot });
+  }
+
+  /**
+   * The partial string or word at the end, or undefined when it should not be shown yet
+   * @private
+   */
+  _partialValue() {
+    const token = this.token;
+    if (!token || token.isKey) return undefined;
+    if (token.type === 'string') return token.value;
+    // Only words that are already a complete literal or number
+    return HealingStream._wordValue(token.value);
+  }
+
+  /**
+   * @private
+   */
+  _top() {
+    return this.stack[this.stack.length - 1];
+  }
+
+  /**
+   * Whether the next string or word is an object key
+   * @private
+   */
+  _atKey() {
+    const frame = this._top();
+    return !!frame && frame.isObject && frame.key === null;
+  }
+
+  // ==================== HELPER METHODS ====================
+
+  /**
+   * Literal or number a bare word stands for, or undefined for other words
+   * @private
+   */
+  static _wordValue(word) {
+    const literal = RepairingParser.LITERALS[word];
+    if (literal !== undefined) return JSON.parse(literal);
+    if (Tokenizer.isNumberWord(word)) return Number(word);
+    return undefined;
+  }
+
+  /**
+   * @private
+   */
+  static _endsWord(char) {
+    return /[\s,:[\]{}"'/]/.test(char);
+  }
+
+  /**
+   * Set a property the way JSON.parse does (a "__proto__" key is an own property)
+   * @private
+   */
+  static _set(object, key, value) {
+    if (key === '__proto__') {
+      Object.defineProperty(object, key, { value, writable: true, enumerable: true, configurable: true });
+    } else {
+      object[key] = value;
+    }
+  }
+}
+
+export default HealingStream;
@@ -1,4 +1,10 @@
-import JsonHealer from './index.js';
+import { Readable } from 'node:stream';
+import { performance } from 'node:perf_hooks';
+import JsonHealer, { HealError, NdjsonHealer, Tokenizer } from './index.js';
+import { TextPatch } from './text-patch.js';
+
+// Node.js 16 has Web Streams only in node:stream/web, Node.js 14 not at all
+const webStreams = globalThis.ReadableStream ? globalThis : await import('node:stream/web').catch(() => null);
 
 /**
  * Comprehensive test suite for JsonHealer
@@ -98,6 +104,30 @@ const testSuites = {
       name: 'Deeply nested missing brackets',
       input: '{"a": {"b": {"c": {"d": [1, 2, 3',
       shouldParse: true
+    },
+    {
+      name: 'Mismatched closer followed by more members',
+      input: '{"a": [1, 2}, "b": 3}',
+      shouldParse: true,
+      expectedValue: { a: [1, 2], b: 3 }
+    },
+    {
+      name: 'Mismatched closers in an array of objects',
+      input: '[{"id": 1], {"id": 2]]',
+      shouldParse: true,
+      expectedValue: [{ id: 1 }, { id: 2 }]
+    },
+    {
+      name: 'Missing closer before an outer closer',
+      input: '{"a": [1, {"b": 2], "c": 3}',
+      shouldParse: true,
+      expectedValue: { a: [1, { b: 2 }], c: 3 }
+    },
+    {
+      name: 'Mismatched closer in a truncated document',
+      input: '{"a": [1, 2}, "b": [3',
+      shouldParse: true,
+      expectedValue: { a: [1, 2], b: [3] }
     }
   ],
 
@@ -197,6 +227,52 @@ const testSuites = {
     }
   ],
 
+  // ==================== UNQUOTED VALUES ====================
+  'Unquoted Values': [
+    {
+      name: 'Numbers past the range of a double stay numbers',
+      input: '{"a": 1e400, "b": -1E999, "c": 2,}',
+      shouldParse: true,
+      expected: '{"a": 1e400, "b": -1E999, "c": 2}'
+    },
+    {
+      name: 'Bare word values',
+      input: '{status: active, region: us-east-1}',
+      shouldParse: true,
+      expectedValue: { status: 'active', region: 'us-east-1' }
+    },
+    {
+      name: 'Multi-word values up to a comma or closer',
+      input: '{note: hello big world, tags: [red, dark blue], n: 1}',
+      shouldParse: true,
+      expectedValue: { note: 'hello big world', tags: ['red', 'dark blue'], n: 1 }
+    },
+    {
+      name: 'Literals, numbers and Python keywords are not quoted',
+      input: '{a: true, b: null, c: -1.5, d: None, e: [False, 2]}',
+      shouldParse: true,
+      expectedValue: { a: true, b: null, c: -1.5, d: null, e: [false, 2] }
+    },
+    {
+      name: 'Numbers without commas are not one value',
+      input: '{"ids": [1 2 3]}',
+      shouldParse: true,
+      expectedValue: { ids: [1, 2, 3] }
+    },
+    {
+      name: 'Bare values that start like a number',
+      input: '{a: 1 apple, c: [2, 3rd, 1e5 x]}',
+      shouldParse: true,
+      expectedValue: { a: '1 apple', c: [2, '3rd', '1e5 x'] }
+    },
+    {
+      name: 'Bare value at the end of a truncated document',
+      input: '{"state": pending review',
+      shouldParse: true,
+      expectedValue: { state: 'pending review' }
+    },
+  ],
+
   // ==================== SINGLE QUOTES ====================
   'Single Quotes': [
     {
@@ -225,9 +301,125 @@ const testSuites = {
       name: 'Mixed quotes (more singles)',
       input: `{'name': 'Test', "age": 30}`,
       shouldParse: true
+    },
+    {
+      name: 'Contraction inside a single-quoted string',
+      input: "{'note': 'don't panic', 'x': 1}",
+      shouldParse: true,
+      expectedValue: { note: "don't panic", x: 1 }
+    },
+    {
+      name: 'Possessive and quoted word inside strings',
+      input: "{'owner': 'James' book', 'song': 'rock 'n' roll'}",
+      shouldParse: true,
+      expectedValue: { owner: "James' book", song: "rock 'n' roll" }
+    },
+    {
+      name: 'Mixed quotes (more doubles)',
+      input: `{"msg": "it's", "id": 7, "ok": true, 'key': 'val'}`,
+      shouldParse: true,
+      expectedValue: { msg: "it's", id: 7, ok: true, key: 'val' }
+    },
+    {
+      name: 'Truncated after an apostrophe',
+      input: "{'a': 'it's",
+      shouldParse: true,
+      expectedValue: { a: "it's" }
     }
   ],
 
+  // ==================== SMART QUOTES ====================
+  'Smart Quotes': [
+    {
+      name: 'Typographic quotes as delimiters',
+      input: '{“name”: “Alice”, ‘tags’: [‘a’, ‘b’]}',
+      shouldParse: true,
+      expectedValue: { name: 'Alice', tags: ['a', 'b'] }
+    },
+    {
+      name: 'Typographic quotes inside strings are kept',
+      input: '{"quote": "She said “hi”", “note”: ‘don’t stop’}',
+      shouldParse: true,
+      expectedValue: { quote: 'She said “hi”', note: 'don’t stop' }
+    },
+    {
+      name: 'German and guillemet quotes, straight quotes inside',
+      input: '{„name“: «Müller, Hans», “q”: “a "b" c”}',
+      shouldParse: true,
+      expectedValue: { name: 'Müller, Hans', q: 'a "b" c' }
+    },
+    {
+      name: 'Typographic closer before a comma inside a closed string',
+      input: '{"q": "He wrote “yes”, then left", "n": 1,}',
+      shouldParse: true,
+      expectedValue: { q: 'He wrote “yes”, then left', n: 1 }
+    },
+    {
+      name: 'Mixed typographic and straight quotes',
+      input: '{“id": 7, "label”: “x"}',
+      shouldParse: true,
+      expectedValue: { id: 7, label: 'x' }
+    },
+    {
+      name: 'Truncated typographic string',
+      input: '{“items”: [“first”, “seco',
+      shouldParse: true,
+      expectedValue: { items: ['first', 'seco'] }
+    },
+  ],
+
+  // ==================== INNER QUOTES ====================
+  'Inner Quotes': [
+    {
+      name: 'Unescaped quotes inside a value',
+      input: '{"quote": "He said "hello" to me", "n": 1}',
+      shouldParse: true,
+      expectedValue: { quote: 'He said "hello" to me', n: 1 }
+    },
+    {
+      name: 'Inner quote right before the closing quote',
+      input: '{"title": "The "Matrix"", "year": 1999}',
+      shouldParse: true,
+      expectedValue: { title: 'The "Matrix"', year: 1999 }
+    },
+    {
+      name: 'Inner quotes in an array element',
+      input: '["the "best" one", "x"]',
+      shouldParse: true,
+      expectedValue: ['the "best" one', 'x']
+    },
+    {
+      name: 'Lone inch mark',
+      input: '{"size": "5" screen", "ok": true}',
+      shouldParse: true,
+      expectedValue: { size: '5" screen', ok: true }
+    },
+    {
+      name: 'Inner quote in a truncated value',
+      input: '{"a": "say "hi',
+      shouldParse: true,
+      expectedValue: { a: 'say "hi' }
+    },
+    {
+      name: 'String before repeated commas',
+      input: '{"a": "x",, "b": "y",,}',
+      shouldParse: true,
+      expectedValue: { a: 'x', b: 'y' }
+    },
+    {
+      name: 'Unclosed value before the next key',
+      input: '{"name": "Test, "age": 30}',
+      shouldParse: true,
+      expectedValue: { name: 'Test', age: 30 }
+    },
+    {
+      name: 'Unclosed value before the next key, no space',
+      input: '{"a": "unterminated,"b": 2}',
+      shouldParse: true,
+      expectedValue: { a: 'unterminated', b: 2 }
+    },
+  ],
+
   // ==================== PYTHON LITERALS ====================
   'Python Literals': [
     {
@@ -536,6 +728,64 @@ Let me know if you need changes!`,
     }
   ],
 
+  // ==================== STRING BOUNDARIES ====================
+  'String Boundaries': [
+    {
+      name: 'String ending in escaped backslash',
+      input: String.raw`{"path": "C:\\", "ok": True,}`,
+      shouldParse: true,
+      expectedValue: { path: 'C:\\', ok: true }
+    },
+    {
+      name: 'Windows path before unquoted key and comment',
+      input: String.raw`{"path": "C:\\Users\\", name: "x", // comment` + '\n}',
+      shouldParse: true,
+      expectedValue: { path: 'C:\\Users\\', name: 'x' }
+    },
+    {
+      name: 'Regex ending in backslash before missing comma',
+      input: String.raw`{"re": "\\d+\\", "n": 1 "m": 2}`,
+      shouldParse: true,
+      expectedValue: { re: '\\d+\\', n: 1, m: 2 }
+    },
+    {
+      name: 'Single-quoted path ending in backslash',
+      input: String.raw`{'path': 'C:\\temp\\', 'x': None}`,
+      shouldParse: true,
+      expectedValue: { path: 'C:\\temp\\', x: null }
+    },
+    {
+      name: 'Punctuation inside strings is left alone',
+      input: '{"a": "x,}", "b": [1, 2,],}',
+      shouldParse: true,
+      expectedValue: { a: 'x,}', b: [1, 2] }
+    },
+    {
+      name: 'Missing comma between array strings',
+      input: '["a", "b" "c"]',
+      shouldParse: true,
+      expectedValue: ['a', 'b', 'c']
+    },
+    {
+      name: 'Missing comma after string value',
+      input: '{"a": "b" "c": 1}',
+      shouldParse: true,
+      expectedValue: { a: 'b', c: 1 }
+    },
+    {
+      name: 'Literal inside a key is not converted',
+      input: '{isTrue: True}',
+      shouldParse: true,
+      expectedValue: { isTrue: true }
+    },
+    {
+      name: 'Escaped single quote in single-quoted string',
+      input: "{'note': 'don\\'t', 'x': 1}",
+      shouldParse: true,
+      expectedValue: { note: "don't", x: 1 }
+    }
+  ],
+
   // ==================== EDGE CASES ====================
   'Edge Cases': [
     {
@@ -634,7 +884,11 @@ Let me know if you need changes!`,
 // ==================== TEST RUNNER ====================
 
 class TestRunner {
-  constructor() {
+  /**
+   * @param {object} [options] - Options passed to every heal()/parse() call
+   */
+  constructor(options = {}) {
+    this.options = options;
     this.results = {
       total: 0,
       passed: 0,
@@ -648,6 +902,7 @@ class TestRunner {
     console.log('╔════════════════════════════════════════════════════════════════╗');
     console.log('║              JsonHealer Comprehensive Test Suite               ║');
     console.log('╚════════════════════════════════════════════════════════════════╝\n');
+    console.log(`Engine: ${this.options.engine || 'strategies'}`);
 
     for (const [suiteName, tests] of Object.entries(testSuites)) {
       this.runSuite(suiteName, tests);
@@ -676,11 +931,11 @@ class TestRunner {
 
       if (test.useParseMethod) {
         // Test the parse() method
-        parsed = JsonHealer.parse(test.input);
+        parsed = JsonHealer.parse(test.input, this.options);
         result = parsed !== null ? JSON.stringify(parsed) : null;
       } else {
         // Test the heal() method
-        result = JsonHealer.heal(test.input);
+        result = JsonHealer.heal(test.input, this.options);
         if (result && typeof result === 'string') {
           try {
             parsed = JSON.parse(result);
@@ -886,6 +1141,1273 @@ function testCustomStrategies() {
   return failed === 0;
 }
 
+// ==================== API CHECK HELPER ====================
+
+/**
+ * Print a titled group of boolean checks and return whether all passed
+ * @param {string} title
+ * @param {(check: (name: string, fn: () => boolean) => void) => void} body
+ */
+function runChecks(title, body) {
+  const padding = 66 - title.length;
+  console.log('\n');
+  console.log('┌──────────────────────────────────────────────────────────────────┐');
+  console.log(`│${' '.repeat(Math.floor(padding / 2))}${title}${' '.repeat(Math.ceil(padding / 2))}│`);
+  console.log('└──────────────────────────────────────────────────────────────────┘\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  const check = (name, fn) => {
+    try {
+      if (fn()) {
+        console.log(`  ✅ ${name}`);
+        passed++;
+      } else {
+        console.log(`  ❌ ${name}`);
+        failed++;
+      }
+    } catch (e) {
+      console.log(`  ❌ ${name} threw: ${e.message}`);
+      failed++;
+    }
+  };
+
+  body(check);
+
+  console.log(`\n  Results: ${passed} passed, ${failed} failed`);
+
+  return failed === 0;
+}
+
+/**
+ * runChecks() for checks that return a promise; they run one after another before any is printed
+ */
+async function runAsyncChecks(title, body) {
+  const checks = [];
+  body((name, fn) => checks.push({ name, fn }));
+
+  const outcomes = [];
+  for (const { name, fn } of checks) {
+    try {
+      outcomes.push({ name, result: await fn() });
+    } catch (error) {
+      outcomes.push({ name, error });
+    }
+  }
+
+  return runChecks(title, (check) => {
+    for (const { name, result, error } of outcomes) {
+      check(name, () => {
+        if (error) throw error;
+        return result;
+      });
+    }
+  });
+}
+
+// ==================== ENGINE HELPERS ====================
+
+// Both engines; most behavior must be the same with each
+const engines = ['strategies', 'parser'];
+
+/**
+ * Whether every engine heals input into expected (compared as JSON), or into a value expected accepts
+ * @param {string} input
+ * @param {any|((value: any, healed: string) => boolean)} expected
+ * @param {object} [options] - Healing options, the same for each engine
+ * @returns {boolean}
+ */
+function healsAlike(input, expected, options = {}) {
+  return engines.every(engine => {
+    const healed = JsonHealer.heal(input, { ...options, engine });
+    if (!JsonHealer.isValidJSON(healed)) return false;
+    const value = JSON.parse(healed);
+    return typeof expected === 'function' ? expected(value, healed) : JSON.stringify(value) === JSON.stringify(expected);
+  });
+}
+
+// ==================== HEAL REPORT TESTS ====================
+
+function testHealWithReport() {
+  return runChecks('HEAL REPORT TESTS', (check) => {
+    check('Valid input reports no repairs', () => {
+      const report = JsonHealer.healWithReport('{"a": 1}');
+      return report.valid && report.output === '{"a": 1}' && report.repairs.length === 0 && !report.fallbackUsed;
+    });
+
+    check('Output matches heal()', () => {
+      const input = '{name: "John", active: True,}';
+      return JsonHealer.healWithReport(input).output === JsonHealer.heal(input);
+    });
+
+    check('Repairs name the strategy and original range', () => {
+      const input = '{"active": True,}';
+      const { repairs } = JsonHealer.healWithReport(input);
+      const literal = repairs.find(r => r.strategy === 'fixPythonLiterals');
+      const comma = repairs.find(r => r.strategy === 'fixTrailingCommas');
+      return literal && input.slice(...literal.originalRange) === 'True' && literal.replacement === 'true' &&
+        comma && input.slice(...comma.originalRange) === ',' && comma.replacement === '' &&
+        typeof literal.description === 'string' && literal.description.length > 0;
+    });
+
+    check('Ranges map through earlier extraction', () => {
+      const input = 'Result:\n```json\n{"a": None}\n```';
+      const { repairs } = JsonHealer.healWithReport(input);
+      const literal = repairs.find(r => r.strategy === 'fixPythonLiterals');
+      return literal && input.slice(...literal.originalRange) === 'None';
+    });
+
+    check('Inserted brackets are zero-width at end of input', () => {
+      const input = '{"items": [1, 2';
+      const { repairs } = JsonHealer.healWithReport(input);
+      const closing = repairs.find(r => r.strategy === 'balanceBrackets');
+      return closing && closing.originalRange[0] === input.length &&
+        closing.originalRange[1] === input.length && closing.replacement === ']}';
+    });
+
+    check('Reports each substituted closer', () => {
+      const input = '[{"id": 1], {"id": 2], {"id": 3}}';
+      return engines.every(engine => {
+        const fixes = JsonHealer.healWithReport(input, { engine }).repairs.filter(r => r.strategy === 'fixMismatchedClosers');
+        return fixes.length === 3 && fixes.every(r => r.risk === 'structural' && r.replacement.length === 1 &&
+          input.slice(...r.originalRange) !== r.replacement);
+      });
+    });
+
+    check('Lists every edit of a large input separately', () => {
+      const items = Array.from({ length: 400 }, (_, i) => `{id: ${i}, name: 'Item ${i}', ok: True}`);
+      const input = `[${items.join(', ')}]`;
+      const python = `[${items.map(item => item.replace(/(\w+):/g, "'$1':")).join(', ')}]`;
+      return [[input, {}], [input, { engine: 'parser' }], [python, { mode: 'python' }]].every(([text, options]) => {
+        const { repairs } = JsonHealer.healWithReport(text, options);
+        return repairs.length > 256 && repairs.every(r => r.originalRange[1] - r.originalRange[0] <= 'Item 399'.length + 2);
+      });
+    });
+
+    check('Reports aggressive fallback', () => {
+      const report = JsonHealer.healWithReport('"a": 1, "b": 2');
+      return report.valid && report.fallbackUsed && report.repairs.some(r => r.strategy === 'aggressiveRepair');
+    });
+
+    check('Non-string input passes through', () => {
+      const report = JsonHealer.healWithReport(null);
+      return report.output === null && report.valid === false && report.repairs.length === 0;
+    });
+
+    check('Source map translates output offsets to line/column', () => {
+      const input = 'Data:\n{name: "a",\n price: None}';
+      const { output, sourceMap } = JsonHealer.healWithReport(input);
+      const position = sourceMap.originalPosition(output.indexOf('null'));
+      return position.offset === input.indexOf('None') && position.line === 3 && position.column === 9;
+    });
+
+    check('Source map resolves JSON paths to original ranges', () => {
+      const input = '```json\n{items: [{price: 1}, {price: True,}]}\n```';
+      const { sourceMap } = JsonHealer.healWithReport(input);
+      const range = sourceMap.originalRangeForPath('$.items[1].price');
+      return range && input.slice(range.start.offset, range.end.offset) === 'True' &&
+        sourceMap.originalRangeForPath(['items', 0]) !== null &&
+        sourceMap.originalRangeForPath('$.missing') === null;
+    });
+
+    check('Source map keeps paths precise in large inputs', () => {
+      const input = `[${Array.from({ length: 400 }, (_, i) => `{id: ${i}, name: 'Item ${i}', ok: True}`).join(', ')}]`;
+      return engines.every(engine => {
+        const { sourceMap } = JsonHealer.healWithReport(input, { engine });
+        const name = sourceMap.originalRangeForPath('$[2].name');
+        const flag = sourceMap.originalRangeForPath('$[399].ok');
+        return input.slice(name.start.offset, name.end.offset) === "'Item 2'" &&
+          input.slice(flag.start.offset, flag.end.offset) === 'True';
+      });
+    });
+
+    check('Ranges start after text deleted in front of them', () => {
+      const extracted = 'Sure! Here it is:\n{"a": [1, 2]}';
+      const root = JsonHealer.healWithReport(extracted).sourceMap.originalRangeForPath('$');
+      const commented = '[1,/*x*/2,]';
+      const element = JsonHealer.healWithReport(commented).sourceMap.originalRangeForPath('$[1]');
+      return extracted.slice(root.start.offset, root.end.offset) === '{"a": [1, 2]}' &&
+        commented.slice(element.start.offset, element.end.offset) === '2';
+    });
+
+    check('Cosmetic repairs keep full confidence', () => {
+      const report = JsonHealer.healWithReport('{name: "John", active: True,}');
+      return report.confidence === 1 && report.repairs.every(r => r.risk === 'cosmetic');
+    });
+
+    check('Cosmetic repairs keep full confidence in large inputs', () => {
+      const items = Array.from({ length: 400 }, (_, i) => `{'id': ${i}, 'name': 'Item ${i}', 'ok': True, 'note': None}`);
+      const input = `[${items.join(', ')}]`;
+      const lossy = `[${items.join(', ')}, {'score': nan}]`;
+      const python = JsonHealer.healWithReport(lossy, { mode: 'python' });
+      return engines.every(engine => JsonHealer.healWithReport(input, { engine }).confidence === 1) &&
+        JsonHealer.healWithReport(input, { mode: 'python' }).confidence === 1 &&
+        python.repairs.filter(r => r.risk === 'data-altering').length === 1;
+    });
+
+    check('Guessed string ends are data-altering and lower confidence', () => {
+      const report = JsonHealer.healWithReport('{"name": "Test, "age": 30}');
+      return report.confidence < 1 && report.repairs.some(r => r.risk === 'data-altering');
+    });
+
+    check('NaN replacement is data-altering, None is cosmetic', () => {
+      const { repairs } = JsonHealer.healWithReport('{"a": NaN, "b": None}');
+      return repairs.find(r => r.replacement === 'null' && r.originalRange[1] - r.originalRange[0] === 3).risk === 'data-altering' &&
+        repairs.find(r => r.replacement === 'null' && r.originalRange[1] - r.originalRange[0] === 4).risk === 'cosmetic';
+    });
+
+    check('minConfidence makes heal/parse refuse low-confidence results', () => {
+      const risky = '{"name": "Test, "age": 30}';
+      return JsonHealer.heal(risky, { minConfidence: 0.9 }) === risky &&
+        JsonHealer.parse(risky, { minConfidence: 0.9 }) === null &&
+        JsonHealer.parse('{a: 1,}', { minConfidence: 0.9 }).a === 1;
+    });
+  });
+}
+
+// ==================== HEALER INSTANCE TESTS ====================
+
+function testHealerInstances() {
+  return runChecks('HEALER INSTANCE TESTS', (check) => {
+    check('Instances have isolated strategy pipelines', () => {
+      const a = JsonHealer.create();
+      const b = new JsonHealer();
+      a.registerStrategy('fixArrows', (input) => input.replace(/=>/g, ':'), 0);
+      return JsonHealer.isValidJSON(a.heal('{"fn" => "test"}')) &&
+        !JsonHealer.isValidJSON(b.heal('{"fn" => "test"}')) &&
+        !b.strategies.includes('fixArrows') &&
+        !JsonHealer.strategies.includes('fixArrows');
+    });
+
+    check('Static registration does not leak into instances', () => {
+      const healer = JsonHealer.create();
+      JsonHealer.registerStrategy('staticOnly', (x) => x);
+      const leaked = healer.strategies.includes('staticOnly');
+      JsonHealer.removeStrategy('staticOnly');
+      return !leaked;
+    });
+
+    check('Removing a built-in only affects that instance', () => {
+      const healer = JsonHealer.create();
+      healer.removeStrategy('fixPythonLiterals');
+      return healer.parse('{"a": True}') === null && JsonHealer.parse('{"a": True}').a === true;
+    });
+
+    check('Constructor accepts a custom pipeline', () => {
+      const healer = new JsonHealer({
+        strategies: ['fixTrailingCommas', { name: 'noneToNull', strategy: (input) => input.replace('none', 'null') }],
+      });
+      return healer.strategies.join() === 'fixTrailingCommas,noneToNull' && healer.heal('[none,]') === '[null]';
+    });
+
+    check('Instance options are defaults for each call', () => {
+      const healer = new JsonHealer({ options: { minConfidence: 0.9 } });
+      const risky = '{"name": "Test, "age": 30}';
+      return healer.heal(risky) === risky && healer.heal(risky, { minConfidence: 0 }) !== risky;
+    });
+
+    check('options.skip leaves a strategy out for one call', () => {
+      return JsonHealer.parse('{"a": None}', { skip: ['fixPythonLiterals'] }) === null &&
+        JsonHealer.parse('{"a": None}').a === null &&
+        JsonHealer.strategies.includes('fixPythonLiterals');
+    });
+
+    check('options.only restricts the pipeline and aggressive repair', () => {
+      const report = JsonHealer.healWithReport('{"a": None,}', { only: ['fixTrailingCommas'] });
+      return !report.valid && report.repairs.every(r => r.strategy === 'fixTrailingCommas');
+    });
+
+    check('options.extraStrategies run for one call only', () => {
+      const fixArrows = (input) => input.replace(/=>/g, ':');
+      const healed = JsonHealer.heal('{"a" => 1}', { extraStrategies: [{ name: 'fixArrows', strategy: fixArrows, priority: 0 }] });
+      return JsonHealer.isValidJSON(healed) &&
+        !JsonHealer.strategies.includes('fixArrows') &&
+        !JsonHealer.isValidJSON(JsonHealer.heal('{"a" => 1}'));
+    });
+
+    check('aggressiveRepair honours skip', () => {
+      return JsonHealer.aggressiveRepair('[1, 2', { skip: ['balanceBrackets'] }) === '[1, 2' &&
+        JsonHealer.aggressiveRepair('[1, 2') === '[1, 2]';
+    });
+
+    check('Unknown strategy names in only or skip throw', () => {
+      const throws = (fn, pattern) => {
+        try {
+          fn();
+        } catch (e) {
+          return e instanceof TypeError && pattern.test(e.message);
+        }
+        return false;
+      };
+      const fillNull = (input) => input;
+      return throws(() => JsonHealer.heal('[1,]', { skip: ['fixTrailingComma'] }), /^Unknown strategy "fixTrailingComma" in skip; expected one of: .*fixTrailingCommas/) &&
+        throws(() => JsonHealer.heal('[1,]', { only: ['nope'] }), /^Unknown strategy "nope" in only/) &&
+        throws(() => JsonHealer.aggressiveRepair('[1, 2', { skip: ['nope'] }), /in skip/) &&
+        JsonHealer.heal('[1,]', { skip: ['convertPythonRepr', 'dropIncompleteMember'] }) === '[1]' &&
+        JsonHealer.heal('[1,]', { only: ['fillNull', 'fixTrailingCommas'], extraStrategies: [fillNull] }) === '[1]';
+    });
+  });
+}
+
+// ==================== PARSE OR THROW TESTS ====================
+
+function testParseOrThrow() {
+  return runChecks('PARSE OR THROW TESTS', (check) => {
+    const catchError = (fn) => {
+      try {
+        fn();
+      } catch (e) {
+        return e;
+      }
+      return null;
+    };
+
+    check('Returns healed values, including a legitimate null', () => {
+      return JsonHealer.parseOrThrow('{a: 1,}').a === 1 && JsonHealer.parseOrThrow('null') === null;
+    });
+
+    check('Throws HealError with diagnostics', () => {
+      const error = catchError(() => JsonHealer.parseOrThrow('not json at all {{{{'));
+      return error instanceof HealError &&
+        error.input === 'not json at all {{{{' &&
+        typeof error.candidate === 'string' &&
+        Number.isInteger(error.position) &&
+        error.strategiesAttempted.includes('balanceBrackets') &&
+        error.strategiesAttempted.includes('aggressiveRepair') &&
+        error.cause instanceof SyntaxError;
+    });
+
+    check('Locates the failure even when the engine message has no position', () => {
+      const error = catchError(() => JsonHealer.parseOrThrow('{"a": 1, "b" ::: }}}'));
+      const nested = HealError.locateParseError(new SyntaxError('Unexpected token'), '[1,\n  {"a" 2}]');
+      return error.candidate[error.position] === ':' && error.line === 1 && error.column === error.position + 1 &&
+        nested.position === 11 && nested.line === 2 && nested.column === 8 &&
+        HealError.locateParseError(null, '[').position === null;
+    });
+
+    check('Reports which strategy threw', () => {
+      const healer = JsonHealer.create();
+      healer.registerStrategy('explode', () => {
+        throw new Error('kaboom');
+      }, 0);
+      const originalDebug = console.debug;
+      console.debug = () => {};
+      const error = catchError(() => healer.parseOrThrow('{{{{ nope'));
+      console.debug = originalDebug;
+      return error instanceof HealError &&
+        error.strategyErrors.some(e => e.strategy === 'explode' && e.error.message === 'kaboom');
+    });
+
+    check('Rejects non-string input', () => {
+      return catchError(() => JsonHealer.parseOrThrow(null)) instanceof HealError;
+    });
+
+    check('Rejects results below minConfidence', () => {
+      const error = catchError(() => JsonHealer.parseOrThrow('{"name": "Test, "age": 30}', { minConfidence: 0.9 }));
+      return error instanceof HealError && error.confidence < 0.9 && JsonHealer.isValidJSON(error.candidate);
+    });
+
+    check('parse() throws with throwOnFailure', () => {
+      return catchError(() => JsonHealer.parse('not json at all {{{{', { throwOnFailure: true })) instanceof HealError &&
+        JsonHealer.parse('not json at all {{{{') === null;
+    });
+  });
+}
+
+// ==================== TOKENIZER TESTS ====================
+
+function testTokenizer() {
+  return runChecks('TOKENIZER TESTS', (check) => {
+    const summarize = (input) => Tokenizer.tokenize(input)
+      .filter(Tokenizer.isSignificant)
+      .map(token => `${token.type}:${token.value}`);
+
+    check('Tokens reproduce the input exactly', () => {
+      const input = "{a: 'x', /* c */ \"b\\\\\": [1 2], // end\n}";
+      return Tokenizer.tokenize(input).map(token => token.value).join('') === input;
+    });
+
+    check('Escaped backslash closes a string', () => {
+      const tokens = Tokenizer.tokenize(String.raw`"C:\\" x`);
+      return tokens[0].type === 'string' && tokens[0].closed && tokens[0].value === String.raw`"C:\\"`;
+    });
+
+    check('Both quote styles and comments are recognized', () => {
+      return summarize(`{'a': "b" // c\n/* d */}`).join('|') ===
+        "punctuation:{|string:'a'|punctuation::|string:\"b\"|punctuation:}";
+    });
+
+    check('Apostrophes inside words do not open strings', () => {
+      return summarize("[don't, 'x']").join('|') === "punctuation:[|word:don't|punctuation:,|string:'x'|punctuation:]";
+    });
+
+    check('Unterminated strings and comments are flagged', () => {
+      const [string] = Tokenizer.tokenize('"abc');
+      const comment = Tokenizer.tokenize('1 /* open').find(token => token.type === 'comment');
+      return string.closed === false && comment.type === 'comment' && comment.closed === false;
+    });
+  });
+}
+
+function testParserEngine() {
+  return runChecks('PARSER ENGINE TESTS', (check) => {
+    const heal = (input) => JsonHealer.heal(input, { engine: 'parser' });
+
+    check('Formatting of untouched text is kept', () => {
+      return heal("{name: 'Ann',\n  tags: [1 2]}") === '{"name": "Ann",\n  "tags": [1, 2]}';
+    });
+
+    check('Mixed quote styles and apostrophes in one document', () => {
+      return heal(`{"a": "it's", b: 'x'}`) === '{"a": "it\'s", "b": "x"}';
+    });
+
+    check('Mismatched closer is substituted in place', () => {
+      return heal('{"a": {"b": 1], "c": 2}') === '{"a": {"b": 1}, "c": 2}';
+    });
+
+    check('Dangling key at the end is dropped', () => {
+      return heal('{"a": 1, "b":') === '{"a": 1}';
+    });
+
+    check('Repairs are reported per strategy with original offsets', () => {
+      const report = JsonHealer.healWithReport('// note\n{a: True}', { engine: 'parser' });
+      return report.repairs.map(repair => `${repair.strategy}@${repair.originalRange}`).join('|') ===
+        'extractFromMixedText@0,8|fixUnquotedKeys@9,10|fixPythonLiterals@12,16' &&
+        report.sourceMap.originalRangeForPath('$.a').start.offset === 12;
+    });
+
+    check('Unrecoverable structure is reported through HealError', () => {
+      try {
+        JsonHealer.parseOrThrow('{{{{', { engine: 'parser' });
+        return false;
+      } catch (e) {
+        return e instanceof HealError && e.strategiesAttempted.join() === 'parser' && e.strategyErrors.length === 1;
+      }
+    });
+  });
+}
+
+function testLargeInputs() {
+  return runChecks('LARGE INPUT TESTS', (check) => {
+    const batch = (count) => '[' + Array.from({ length: count }, (_, i) => `{"id": ${i}, "tags": ["a"]},\n`).join('') +
+      '{"id": -1, "name": "trunc';
+
+    check('Truncated array keeps its last partial element', () => {
+      return JsonHealer.heal('[{"a": [1]}, {"b": "x') === '[{"a": [1]}, {"b": "x"}]';
+    });
+
+    check('Truncated batch heals the same with both engines', () => {
+      const input = batch(5000);
+      const healed = JsonHealer.heal(input);
+      const data = JSON.parse(healed);
+      return healed === JsonHealer.heal(input, { engine: 'parser' }) && data.length === 5001 && data[5000].name === 'trunc';
+    });
+
+    check('Deep nesting heals the same with both engines', () => {
+      const depth = 20000;
+      const arrays = '['.repeat(depth) + '1,' + ']'.repeat(depth - 3);
+      const objects = '{"a": '.repeat(depth) + '[1, 2,';
+      return [arrays, objects].every(input => {
+        const healed = JsonHealer.heal(input);
+        return JsonHealer.isValidJSON(healed) && healed === JsonHealer.heal(input, { engine: 'parser' });
+      });
+    });
+
+    check('Scanning appended text reuses the previous scan', () => {
+      const text = '{"a": [1, "x';
+      const extended = text + '", true]}';
+      const reused = Tokenizer.shareScans(() => {
+        Tokenizer.scan(text);
+        return Tokenizer.scan(extended);
+      });
+      const fresh = Tokenizer.scan(extended);
+      return reused.length === fresh.length &&
+        Array.from({ length: fresh.length }, (_, i) => i).every(i =>
+          reused.type(i) === fresh.type(i) && reused.value(i) === fresh.value(i) && reused.closed(i) === fresh.closed(i));
+    });
+
+    check('TextPatch applies ordered edits and rejects overlaps', () => {
+      const patch = new TextPatch('abcdef');
+      patch.replace(1, 2, 'B');
+      patch.insert(4, '-');
+      patch.remove(5, 6);
+      try {
+        patch.insert(3, 'x');
+        return false;
+      } catch (e) {
+        return e instanceof RangeError && patch.toString() === 'aBcd-e' && new TextPatch('abc').toString() === 'abc';
+      }
+    });
+  });
+}
+
+function testStreaming() {
+  return runChecks('STREAMING TESTS', (check) => {
+    const feed = (text, size) => {
+      const stream = JsonHealer.createStream();
+      const snapshots = [];
+      for (let i = 0; i < text.length; i += size) snapshots.push(JSON.stringify(stream.push(text.slice(i, i + size)).snapshot()));
+      return { stream, snapshots };
+    };
+
+    check('Snapshots close open strings, arrays and objects', () => {
+      const stream = JsonHealer.createStream().push('Sure: {"title": "Hel');
+      const first = JSON.stringify(stream.snapshot());
+      stream.push('lo", "tags": ["a", {"b": [1');
+      return first === '{"title":"Hel"}' &&
+        JSON.stringify(stream.snapshot()) === '{"title":"Hello","tags":["a",{"b":[1]}]}';
+    });
+
+    check('Half-written keys and words are left out', () => {
+      const stream = JsonHealer.createStream().push('{"a": 1, "des');
+      const partialKey = JSON.stringify(stream.snapshot());
+      stream.push('c": tr');
+      const partialWord = JSON.stringify(stream.snapshot());
+      stream.push('ue');
+      return partialKey === '{"a":1}' && partialWord === '{"a":1}' && JSON.stringify(stream.snapshot()) === '{"a":1,"desc":true}';
+    });
+
+    check('Any chunking gives the same final value as the parser engine', () => {
+      const text = "```json\n{name: 'Ann', /* note */ \"bio\": \"says \\\"hi\\\" \\u00e9\", list: [1, 2.5, None,], ok: True}\n```";
+      const expected = JSON.stringify(JsonHealer.parse(text, { engine: 'parser' }));
+      return [1, 2, 3, 7, text.length].every(size => {
+        const { stream, snapshots } = feed(text, size);
+        return stream.done && snapshots[snapshots.length - 1] === expected;
+      });
+    });
+
+    check('Earlier snapshots are not changed by later pushes', () => {
+      const stream = JsonHealer.createStream().push('{"done": {"x": 1}, "list": [1');
+      const before = stream.snapshot();
+      stream.push(', 2], "more": "y"}');
+      const after = stream.snapshot();
+      const nested = JsonHealer.createStream().push('{"a": [1');
+      const saved = nested.snapshot();
+      nested.push(', 2');
+      return JSON.stringify(before) === '{"done":{"x":1},"list":[1]}' && before.done === after.done &&
+        JSON.stringify(after) === '{"done":{"x":1},"list":[1,2],"more":"y"}' &&
+        JSON.stringify(saved) === '{"a":[1]}' && JSON.stringify(nested.snapshot()) === '{"a":[1,2]}';
+    });
+
+    check('Snapshots follow the partial value at the end', () => {
+      const stream = JsonHealer.createStream().push('{"n": [1, 2');
+      const digits = JSON.stringify(stream.snapshot());
+      const word = JSON.stringify(stream.push('e').snapshot());
+      const paths = stream.partialPaths().map(({ path }) => path).join();
+      const string = JSON.stringify(stream.push('5, "ab').snapshot());
+      stream.push('c"], "s": "x');
+      const key = JSON.stringify(stream.snapshot());
+      return digits === '{"n":[1,2]}' && word === '{"n":[1]}' && paths === '$,$.n' &&
+        string === '{"n":[1,200000,"ab"]}' && key === '{"n":[1,200000,"abc"],"s":"x"}' &&
+        JSON.stringify(stream.push('y"}').snapshot()) === '{"n":[1,200000,"abc"],"s":"xy"}';
+    });
+  });
+}
+
+function testPartialPaths() {
+  return runChecks('PARTIAL PATH TESTS', (check) => {
+    const describe = (partialPaths) => partialPaths.map(({ path, kind }) => `${path}:${kind}`).join('|');
+
+    check('Truncated string and its open containers are reported', () => {
+      const { value, partialPaths } = JsonHealer.parse('{"items": [{"id": 1}, {"id": 2, "description": "The produ', { partialPaths: true });
+      return value.items[1].description === 'The produ' &&
+        describe(partialPaths) === '$:object|$.items:array|$.items[1]:object|$.items[1].description:string';
+    });
+
+    check('Complete input has no partial paths', () => {
+      const { value, partialPaths } = JsonHealer.parse("{'a': [1, 2,], b: None}", { partialPaths: true });
+      return value.a.length === 2 && partialPaths.length === 0;
+    });
+
+    check('Numbers at the cut may continue', () => {
+      const { partialPaths } = JsonHealer.parse('Result: [1, 2', { partialPaths: true, engine: 'parser' });
+      return describe(partialPaths) === '$:array|$[1]:value';
+    });
+
+    check('Paths come from the extracted document, not the prose', () => {
+      const { partialPaths } = JsonHealer.parse('See [1]. Result: {"desc": "The produ', { partialPaths: true });
+      return describe(partialPaths) === '$:object|$.desc:string';
+    });
+
+    check('Paths come from the selected candidate', () => {
+      const { value, partialPaths } = JsonHealer.parse('Example: {"a": 1} Answer: {"b": [1, {"c": "trunc', { partialPaths: true });
+      return value.b[1].c === 'trunc' && describe(partialPaths) === '$:object|$.b:array|$.b[1]:object|$.b[1].c:string';
+    });
+
+    check('A string cut off after escaped inner quotes is partial', () => {
+      const { value, partialPaths } = JsonHealer.parse('{"q": "He said "hi" and', { partialPaths: true, throwOnFailure: true });
+      return value.q === 'He said "hi" and' && describe(partialPaths) === '$:object|$.q:string';
+    });
+
+    check('Values made up for dangling keys are synthesized', () => {
+      const fillNull = (input) => input.replace(/:\s*}$/, ': null}');
+      const { value, partialPaths } = JsonHealer.parse('{"a": 1, "b":', {
+        partialPaths: true, skip: ['completeTruncatedValues'], extraStrategies: [fillNull]
+      });
+      return value.b === null && describe(partialPaths) === '$:object|$.b:synthesized';
+    });
+
+    check('Completed cut-off values are values; only dangling keys are synthesized', () => {
+      const kinds = (input) => describe(JsonHealer.parse(input, { partialPaths: true }).partialPaths);
+      return kinds('{"a": tru') === '$:object|$.a:value' && kinds('{"a": 1e') === '$:object|$.a:value' &&
+        kinds('{"a": 12.') === '$:object|$.a:value' && kinds('[1, fa') === '$:array|$[1]:value' &&
+        kinds('{"a": "x') === '$:object|$.a:string';
+    });
+
+    check('Streams report the partial paths of their snapshot', () => {
+      const stream = JsonHealer.createStream().push('{"a key": ["x", "y');
+      return describe(stream.partialPaths()) === '$:object|$["a key"]:array|$["a key"][1]:string' &&
+        stream.push('"]}').partialPaths().length === 0;
+    });
+
+    check('Unparseable input gives a null value and no paths', () => {
+      const result = JsonHealer.parse('not json', { partialPaths: true });
+      return result.value === null && result.partialPaths.length === 0;
+    });
+  });
+}
+
+function testTruncationPolicy() {
+  return runChecks('TRUNCATION POLICY TESTS', (check) => {
+    check('Complete (default) closes the cut-off record', () => {
+      return healsAlike('[{"id": 1, "name": "A"}, {"id": 2, "name": "B', [{ id: 1, name: 'A' }, { id: 2, name: 'B' }], { truncation: 'complete' });
+    });
+
+    check('drop-incomplete drops the half-formed record', () => {
+      return healsAlike('[{"id":1,"name":"A"},{"id":2,"na', [{ id: 1, name: 'A' }], { truncation: 'drop-incomplete' }) &&
+        healsAlike('{"items": [{"id": 1}, {"id": 2, "name": "B', { items: [{ id: 1 }] }, { truncation: 'drop-incomplete' });
+    });
+
+    check('drop-incomplete drops a value the cut may have shortened', () => {
+      return healsAlike('[1, 2', [1], { truncation: 'drop-incomplete' }) &&
+        healsAlike('{"a": 1, // note\n "b": "x', { a: 1 }, { truncation: 'drop-incomplete' }) &&
+        healsAlike('["a" "b', ['a'], { truncation: 'drop-incomplete' });
+    });
+
+    check('A comma nothing followed is dropped alone under every policy', () => {
+      return ['complete', 'drop-incomplete', 'drop-incomplete-strings'].every(truncation =>
+        healsAlike('[1,2,', [1, 2], { truncation }) && healsAlike('{"a":1,', { a: 1 }, { truncation }) &&
+        healsAlike('[{"id": 1},', [{ id: 1 }], { truncation }) && healsAlike('{"a": [1, 2, ', { a: [1, 2] }, { truncation }));
+    });
+
+    check('drop-incomplete-strings drops only the cut string', () => {
+      return healsAlike('{"id": 2, "name": "B', { id: 2 }, { truncation: 'drop-incomplete-strings' }) &&
+        healsAlike('{"a": {"b": [1, 2', { a: { b: [1, 2] } }, { truncation: 'drop-incomplete-strings' });
+    });
+
+    check('Complete documents are unaffected', () => {
+      return healsAlike('{"a": [1, 2], "b": "x",}', { a: [1, 2], b: 'x' }, { truncation: 'drop-incomplete' });
+    });
+
+    check('Truncation drops are reported by the parser engine', () => {
+      const report = JsonHealer.healWithReport('[{"id": 1}, {"id": 2', { engine: 'parser', truncation: 'drop-incomplete' });
+      return report.output === '[{"id": 1}]' && report.repairs[0].strategy === 'dropTruncatedElement' &&
+        report.repairs[0].risk === 'data-altering';
+    });
+
+    check('Unknown truncation, engine and invalidEscapes values throw', () => {
+      const message = (options) => {
+        try {
+          JsonHealer.parse('[1, 2', options);
+        } catch (e) {
+          return e instanceof TypeError ? e.message : null;
+        }
+        return null;
+      };
+      return message({ truncation: 'drop' }) === 'Unknown truncation "drop"; expected one of: complete, drop-incomplete, drop-incomplete-strings' &&
+        /^Unknown engine "fast"/.test(message({ engine: 'fast' })) &&
+        /^Unknown invalidEscapes "strip"/.test(message({ invalidEscapes: 'strip' })) &&
+        message({ truncation: 'complete', engine: 'parser', invalidEscapes: 'keep' }) === null;
+    });
+  });
+}
+
+function testTruncatedTokens() {
+  return runChecks('TRUNCATED TOKEN TESTS', (check) => {
+    check('Partial literals are finished', () => {
+      return healsAlike('{"ok": tru', { ok: true }) && healsAlike('{"v": nul', { v: null }) &&
+        healsAlike('[f', [false]) && healsAlike('{"x": Non', { x: null });
+    });
+
+    check('Dangling decimal points and exponents are trimmed', () => {
+      return healsAlike('{"price": 12.', { price: 12 }) && healsAlike('{"e": 1.5e-', { e: 1.5 }) &&
+        healsAlike('{"a": [1, 2.', { a: [1, 2] });
+    });
+
+    check('A lone sign is dropped with its element', () => {
+      return healsAlike('[1, -', [1]);
+    });
+
+    check('Keys without a value are dropped', () => {
+      return healsAlike('{"a": 1, "b":', { a: 1 }) && healsAlike('{"a": 1, "b', { a: 1 }) &&
+        healsAlike('{"a": 1, "b"', { a: 1 }) && healsAlike('{"b":', {});
+    });
+
+    check('A comma nothing followed is dropped', () => {
+      return healsAlike('[1,2,', [1, 2]) && healsAlike('{"a":1,', { a: 1 }) && healsAlike('[{"id": 1}, ', [{ id: 1 }]);
+    });
+
+    check('Dangling keys are dropped once under every truncation policy', () => {
+      return ['complete', 'drop-incomplete', 'drop-incomplete-strings'].every(truncation =>
+        engines.every(engine =>
+          ['{"a": 1, "b":', '{"a": 1, "b'].every(input =>
+            JSON.stringify(JsonHealer.parse(input, { engine, truncation })) === '{"a":1}')));
+    });
+
+    check('completeWord finishes literal prefixes and numbers only', () => {
+      return Tokenizer.completeWord('tru') === 'true' && Tokenizer.completeWord('12.') === '12' &&
+        Tokenizer.completeWord('-') === null && Tokenizer.completeWord('maybe') === 'maybe' &&
+        JsonHealer.heal('{"a": "x", "b": "y"}') === '{"a": "x", "b": "y"}';
+    });
+
+    check('Completions are reported as data-altering', () => {
+      return engines.every(engine => {
+        const report = JsonHealer.healWithReport('{"ok": tru', { engine });
+        const repair = report.repairs.find(entry => entry.strategy === 'completeTruncatedValues');
+        return report.output === '{"ok": true}' && repair && repair.risk === 'data-altering';
+      });
+    });
+  });
+}
+
+function testInvalidEscapes() {
+  return runChecks('INVALID ESCAPE TESTS', (check) => {
+    check('Python and JavaScript escapes become their characters', () => {
+      return healsAlike(String.raw`{"a": "it\'s \x41\a\v", "b": "\0\012"}`, { a: "it's A\u0007\u000b", b: '\u0000\n' }) &&
+        healsAlike(String.raw`["\U0001F600", "\u{1F600}"]`, ['😀', '😀']);
+    });
+
+    check('Escapes with no meaning are kept as text by default', () => {
+      return healsAlike(String.raw`{"re": "\d+\.\d*", "path": "C:\Users\q", "t": "\u12"}`,
+        { re: String.raw`\d+\.\d*`, path: String.raw`C:\Users\q`, t: String.raw`\u12` });
+    });
+
+    check("invalidEscapes 'replace' and 'remove'", () => {
+      return healsAlike(String.raw`{"a": "x\qy", "b": "\ud800z"`, { a: 'x\ufffdy', b: '\ufffdz' }, { invalidEscapes: 'replace' }) &&
+        healsAlike(String.raw`{"a": "x\qy", "b": "\ud800z"`, { a: 'xy', b: 'z' }, { invalidEscapes: 'remove' });
+    });
+
+    check('Surrogate pairs are left alone', () => {
+      return healsAlike('["\\ud83d\\ude00", "😀", "\\q"]', ['😀', '😀', ''], { invalidEscapes: 'remove' });
+    });
+
+    check('Lossy rewrites are reported as data-altering', () => {
+      return engines.every(engine => {
+        const kept = JsonHealer.healWithReport(String.raw`{'a': 'x\q'}`, { engine });
+        const replaced = JsonHealer.healWithReport(String.raw`{'a': 'x\q'}`, { engine, invalidEscapes: 'replace' });
+        return kept.repairs.every(repair => repair.risk === 'cosmetic') &&
+          replaced.repairs.some(repair => repair.strategy === 'fixInvalidEscapes' && repair.risk === 'data-altering');
+      });
+    });
+  });
+}
+
+function testExtractAll() {
+  return runChecks('EXTRACT ALL TESTS', (check) => {
+    const outputs = (documents) => documents.map(document => document.output).join(' | ');
+
+    check('Finds every document in prose, in order', () => {
+      const input = 'Option A: {"a": 1} Option B: {b: 2,} done';
+      const documents = JsonHealer.extractAll(input);
+      return outputs(documents) === '{"a": 1} | {"b": 2}' &&
+        input.slice(...documents[1].range) === '{b: 2,}';
+    });
+
+    check('Reports the language of each code fence', () => {
+      const input = 'Here:\n```json\n{"x": 1}\n```\nand\n```python\n{"y": True}\n```\n```\n[1, 2]\n```\nor {"z": 3}';
+      const documents = JsonHealer.extractAll(input);
+      return outputs(documents) === '{"x": 1} | {"y": true} | [1, 2] | {"z": 3}' &&
+        documents.map(document => document.language).join() === 'json,python,,' && documents[3].language === null;
+    });
+
+    check('Skips brackets in prose', () => {
+      const input = "Use {name} as a placeholder, see [note]. It's {\"ok\": true}, don't worry";
+      return outputs(JsonHealer.extractAll(input)) === '{"ok": true}';
+    });
+
+    check('Heals a document cut off by the end of the input', () => {
+      const documents = JsonHealer.extractAll('First {"a": 1}, then\n```json\n{"items": [{"id": 1}, {"id": 2');
+      return outputs(documents) === '{"a": 1} | {"items": [{"id": 1}, {"id": 2}]}' && documents[1].language === 'json';
+    });
+
+    check('An unclosed bracket in prose ends the search in its region', () => {
+      let heals = 0;
+      const healer = new (class extends JsonHealer {
+        _healRun(...args) {
+          heals++;
+          return super._healRun(...args);
+        }
+      })();
+      const prose = 'Wrap values in { or [ and they stay text. '.repeat(50);
+      return outputs(healer.extractAll(prose + '\n```json\n{"a": 1}\n```')) === '{"a": 1}' && heals === 2;
+    });
+
+    check('Backticks inside a string do not open a fence', () => {
+      return outputs(JsonHealer.extractAll('{"a": "has ``` inside"}')) === '{"a": "has ``` inside"}';
+    });
+
+    check('parseAll returns values with ranges', () => {
+      const results = JsonHealer.parseAll('A: {"a": 1} B: [2]');
+      return JSON.stringify(results) === '[{"value":{"a":1},"range":[3,11],"language":null},' +
+        '{"value":[2],"range":[15,18],"language":null}]';
+    });
+
+    check('Text without JSON gives no documents', () => {
+      return JsonHealer.extractAll('no json here').length === 0 && JsonHealer.parseAll(null).length === 0;
+    });
+  });
+}
+
+function testCandidateSelection() {
+  return runChecks('CANDIDATE SELECTION TESTS', (check) => {
+    const cited = 'As noted in [1], here is the result: {"name": "x", "ok": true}';
+    const fenced = 'Example:\n```json\n{"name": "example"}\n```\nAnswer:\n```json\n{"name": "real", "n": 2}\n```';
+
+    check('A citation loses to the object after it', () => {
+      return engines.every(engine =>
+        JSON.stringify(JsonHealer.parse(cited, { engine })) === '{"name":"x","ok":true}');
+    });
+
+    check('Bracketed prose is not a candidate, even before the only document', () => {
+      return engines.every(engine =>
+        JSON.stringify(JsonHealer.parse('Use [note] here: {status: active}', { engine })) === '{"status":"active"}');
+    });
+
+    check('The answer wins over an example fence before it', () => {
+      return JSON.stringify(JsonHealer.parse(fenced)) === '{"name":"real","n":2}';
+    });
+
+    check("selectCandidate: 'first' keeps the first document", () => {
+      return JsonHealer.heal(fenced, { selectCandidate: 'first' }) === '{"name": "example"}' &&
+        JsonHealer.heal(cited, { selectCandidate: 'first' }) === '[1]';
+    });
+
+    check('A schema match outranks size and position', () => {
+      const input = 'A: {"id": 1, "tags": ["x", "y"]} B: {"title": "t"}';
+      return JsonHealer.parse(input, { schema: { type: 'object', required: ['title'] } }).title === 't' &&
+        JsonHealer.parse(input, { schema: { properties: { tags: { type: 'array', items: { type: 'string' } } } } }).id === 1;
+    });
+
+    check('A callback picks from the ranked candidates', () => {
+      const input = 'A: {"id": 1} B: {"title": "some title"}';
+      let seen;
+      const value = JsonHealer.parse(input, {
+        selectCandidate: (candidates) => {
+          seen = candidates;
+          return candidates.find(candidate => candidate.value.id);
+        },
+      });
+      return value.id === 1 && seen.length === 2 && seen[0].value.title === 'some title' &&
+        seen[0].score > seen[1].score && seen[1].output === '{"id": 1}' && seen[1].language === null &&
+        JsonHealer.parse(input, { selectCandidate: () => 1 }).id === 1 &&
+        JsonHealer.parse(input, { selectCandidate: () => 'neither' }).title === 'some title';
+    });
+
+    check('The selection is reported and later repairs map to the input', () => {
+      const input = 'See [1]. Result: {"a": True}';
+      const report = JsonHealer.healWithReport(input);
+      const [selection, literal] = report.repairs;
+      return report.output === '{"a": true}' && selection.strategy === 'selectCandidate' &&
+        selection.risk === 'data-altering' && input.slice(...literal.originalRange) === 'True';
+    });
+
+    check('Dropping only prose around the document is cosmetic', () => {
+      const { repairs } = JsonHealer.healWithReport('Use [note] here: {status: active}');
+      return repairs[0].strategy === 'selectCandidate' && repairs[0].risk === 'cosmetic';
+    });
+
+    check('Ties outside fences go to the first document', () => {
+      return JSON.stringify(JsonHealer.parse('{"a": 1}\n{"b": 2}')) === '{"a":1}' &&
+        JSON.stringify(JsonHealer.parse('The answer is {"x": 5}. Also see {"y": 6}.')) === '{"x":5}';
+    });
+
+    check('A single document is healed as before', () => {
+      const report = JsonHealer.healWithReport('Here you go: {"a": 1,}');
+      return report.output === '{"a": 1}' && report.repairs.every(repair => repair.strategy !== 'selectCandidate');
+    });
+
+    check('The chosen candidate is healed once, while ranking', () => {
+      const healed = [];
+      const healer = new (class extends JsonHealer {
+        _runPipeline(input, ...args) {
+          healed.push(input);
+          return super._runPipeline(input, ...args);
+        }
+      })();
+      const input = 'See [1]. Result: {"a": True, "b": [1, 2,]}';
+      const report = healer.healWithReport(input);
+      return report.output === '{"a": true, "b": [1, 2]}' && report.repairs[0].strategy === 'selectCandidate' &&
+        healed.filter(text => text === '{"a": True, "b": [1, 2,]}').length === 1;
+    });
+  });
+}
+
+function testJson5Mode() {
+  return runChecks('JSON5 MODE TESTS', (check) => {
+    const json5 = { mode: 'json5' };
+
+    // The example from https://json5.org
+    const example = [
+      '// This file is written in JSON5 syntax',
+      '{',
+      '  // comments',
+      "  unquoted: 'and you can quote me on that',",
+      "  singleQuotes: 'I can use \"double quotes\" here',",
+      '  lineBreaks: "Look, Mom! \\',
+      'No \\\\n\'s!",',
+      '  hexadecimal: 0xdecaf,',
+      '  leadingDecimalPoint: .8675309, andTrailing: 8675309.,',
+      '  positiveSign: +1,',
+      "  trailingComma: 'in objects', andIn: ['arrays',],",
+      '  "backwardsCompatible": "with JSON",',
+      '}',
+    ].join('\n');
+
+    check('Converts the json5.org example', () => {
+      return healsAlike(example, value => JSON.stringify(value) === JSON.stringify({
+        unquoted: 'and you can quote me on that',
+        singleQuotes: 'I can use "double quotes" here',
+        lineBreaks: "Look, Mom! No \\n's!",
+        hexadecimal: 0xdecaf,
+        leadingDecimalPoint: 0.8675309,
+        andTrailing: 8675309,
+        positiveSign: 1,
+        trailingComma: 'in objects',
+        andIn: ['arrays'],
+        backwardsCompatible: 'with JSON',
+      }), json5);
+    });
+
+    check('Numbers: hexadecimal, signs, decimal points', () => {
+      return healsAlike('[0x1F, -0XA, +0x0, +1, -.5, +.5e-2, 5., 5.e3, 007, 0x20000000000001]', (value, healed) =>
+        JSON.stringify(value) === '[31,-10,0,1,-0.5,0.005,5,5000,7,9007199254740992]' &&
+        healed.endsWith(' 9007199254740993]'), json5); // Exact digits, though a double cannot hold them
+    });
+
+    check('Infinity keeps its value; NaN becomes null', () => {
+      return healsAlike('{a: Infinity, b: +Infinity, c: -Infinity, d: NaN, e: -NaN}', value =>
+        value.a === Infinity && value.b === Infinity && value.c === -Infinity && value.d === null && value.e === null, json5);
+    });
+
+    check('Infinity stays a number when other repairs follow', () => {
+      return healsAlike('{a: -Infinity, b: +Infinity, c: [1 2]}', value =>
+        value.a === -Infinity && value.b === Infinity && value.c.length === 2, json5);
+    });
+
+    check('Strings: escapes and line continuations', () => {
+      const input = "['\\x41\\x22\\0\\v\\A\\'\\/', 'a\\\r\nb\\\u2028c', \"\\u00e9\\n\", 'tab\there']";
+      return healsAlike(input, value => JSON.stringify(value) === JSON.stringify(['A"\u0000\u000bA\'/', 'abc', 'é\n', 'tab\there']), json5);
+    });
+
+    check('Keys: Unicode identifiers, escapes and reserved words', () => {
+      return healsAlike('{ùńîċõďë: 1, $_: 2, \\u0061b: 3, while: 4, \'quoted\': 5}', value =>
+        JSON.stringify(value) === '{"ùńîċõďë":1,"$_":2,"ab":3,"while":4,"quoted":5}', json5);
+    });
+
+    check('Whitespace JSON does not allow', () => {
+      return healsAlike('{\ufeffa:\u00a01,\u2028b:\u20032\u000b}', value => JSON.stringify(value) === '{"a":1,"b":2}', json5);
+    });
+
+    check('Conversions are reported; NaN as data-altering', () => {
+      const report = JsonHealer.healWithReport('{a: 0x10, b: NaN}', json5);
+      const risks = Object.fromEntries(report.repairs
+        .filter(repair => repair.strategy === 'convertJson5Numbers')
+        .map(repair => [repair.replacement, repair.risk]));
+      return report.output === '{"a": 16, "b": null}' && risks['16'] === 'cosmetic' && risks.null === 'data-altering';
+    });
+
+    check('Mode strategies honor skip; unknown modes throw', () => {
+      const skipped = JsonHealer.heal('[0x10]', { ...json5, skip: ['convertJson5Numbers'] });
+      let error = null;
+      try {
+        JsonHealer.heal('{}', { mode: 'yaml' });
+      } catch (e) {
+        error = e;
+      }
+      return skipped === '[0x10]' && error instanceof TypeError && JsonHealer.heal('[0x10]') === '[0x10]';
+    });
+  });
+}
+
+function testPythonMode() {
+  return runChecks('PYTHON MODE TESTS', (check) => {
+    const python = { mode: 'python' };
+
+    check('Tuples and sets become arrays', () => {
+      return healsAlike("{'pair': (1, 2), 'one': (1,), 'none': (), 'tags': {'a', 'b'}, 'empty': set(), 'frozen': frozenset({3})}", {
+        pair: [1, 2], one: [1], none: [], tags: ['a', 'b'], empty: [], frozen: [3],
+      }, python);
+    });
+
+    check('String prefixes, triple quotes and Python escapes', () => {
+      const input = "[u'caf\\xe9', b'\\x41\\n', r'C:\\dir\\n', '''it's\nsplit''', \"\"\"say \"hi\" now\"\"\", '\\101\\U0001F600\\q']";
+      return healsAlike(input, ['café', 'A\n', 'C:\\dir\\n', "it's\nsplit", 'say "hi" now', 'A😀\\q'], python);
+    });
+
+    check('Numbers, keys and literals', () => {
+      return healsAlike("{1: 1_000, None: 0x1F, True: 0o17, 'b': 0b101, 'l': 10L, 'f': 1., 'n': nan, 'i': -inf}", {
+        1: 1000, null: 31, true: 15, b: 5, l: 10, f: 1, n: null, i: -Infinity,
+      }, python);
+    });
+
+    check('Complex numbers become strings and are data-altering', () => {
+      const input = "{'n': 1_000_000, 'c': 3+4j, 'i': 4j, 'p': (1-2.5e3j), 's': '4j'}";
+      return healsAlike(input, { n: 1000000, c: '3+4j', i: '4j', p: '1-2.5e3j', s: '4j' }, python) && engines.every(engine => {
+        const { repairs } = JsonHealer.healWithReport(input, { engine, mode: 'python' });
+        const altered = repairs.filter(r => r.risk === 'data-altering').map(r => input.slice(...r.originalRange));
+        return altered.join('|') === '||||(|)';
+      });
+    });
+
+    check('Decimal, datetime and friends', () => {
+      const input = "{'price': Decimal('1.50'), 'at': datetime.datetime(2024, 1, 2, 3, 4, 5, 600, " +
+        "tzinfo=datetime.timezone.utc), 'local': datetime.datetime(2024, 1, 2, 3, 4, " +
+        "tzinfo=datetime.timezone(datetime.timedelta(days=-1, seconds=68400))), 'day': datetime.date(2024, 1, 2), " +
+        "'alarm': datetime.time(7, 30), 'wait': datetime.timedelta(seconds=90), 'id': UUID('12345678-1234-5678-1234-567812345678')}";
+      // Decimal digits are copied, not rounded
+      const exact = JsonHealer.heal(input, python).includes('"price": 1.50');
+      return exact && healsAlike(input, {
+        price: 1.5,
+        at: '2024-01-02T03:04:05.000600+00:00',
+        local: '2024-01-02T03:04:00-05:00',
+        day: '2024-01-02',
+        alarm: '07:30:00',
+        wait: 90,
+        id: '12345678-1234-5678-1234-567812345678',
+      }, python);
+    });
+
+    check('Mappings: OrderedDict, defaultdict, Counter and dict', () => {
+      return healsAlike("[OrderedDict([('b', 1), ('a', (2, 3))]), OrderedDict(), defaultdict(<class 'list'>, {'k': [1]}), " +
+        "Counter({'x': 2}), dict(a=1, b=None)]", [{ b: 1, a: [2, 3] }, {}, { k: [1] }, { x: 2 }, { a: 1, b: null }], python);
+    });
+
+    check('Other calls keep their arguments; a call can be the whole document', () => {
+      return healsAlike("{'p': Point(x=1, y=2), 'v': np.float64(0.5), 'r': range(0, 3), 'o': <object at 0x7f>}", {
+        p: { x: 1, y: 2 }, v: 0.5, r: [0, 3], o: '<object at 0x7f>',
+      }, python) && healsAlike("OrderedDict([('a', 1), ('b', [2])])", { a: 1, b: [2] }, python);
+    });
+
+    check('Prose around the repr, and truncated input', () => {
+      return healsAlike("Here's the result: {'name': 'Ada', 'langs': ('en', 'fr')} as requested", { name: 'Ada', langs: ['en', 'fr'] }, python) &&
+        healsAlike("{'items': [(1, 'a'), (2, 'b", { items: [[1, 'a'], [2, 'b']] }, python);
+    });
+
+    check('Conversion keeps the layout and reports nan as data-altering', () => {
+      const report = JsonHealer.healWithReport("{'a': nan,\n 'b': (1, 2)}", python);
+      const risks = report.repairs.map(repair => repair.risk);
+      return report.output === '{"a": null,\n "b": [1, 2]}' &&
+        report.repairs.every(repair => repair.strategy === 'convertPythonRepr') &&
+        risks.filter(risk => risk === 'data-altering').length === 1;
+    });
+  });
+}
+
+function testJavaScriptMode() {
+  return runChecks('JAVASCRIPT MODE TESTS', (check) => {
+    const javascript = { mode: 'javascript' };
+
+    check('Converts the pasted snippet', () => {
+      return healsAlike('{ created: new Date("2024-01-01"), tags: [`a`, `b`], fn: undefined, re: /abc/g }', {
+        created: '2024-01-01T00:00:00.000Z', tags: ['a', 'b'], fn: null, re: '/abc/g',
+      }, javascript);
+    });
+
+    check('omitUndefined drops undefined properties, as JSON.stringify does', () => {
+      return healsAlike('{a: undefined, b: 1, c: [undefined], d: undefined}', { b: 1, c: [null] }, { ...javascript, omitUndefined: true }) &&
+        healsAlike('{only: undefined}', {}, { ...javascript, omitUndefined: true });
+    });
+
+    check('Template literals, including URLs and substitutions', () => {
+      return healsAlike('{url: `https://example.com/${path}`, multi: `line one\nline "two"`}', {
+        url: 'https://example.com/${path}', multi: 'line one\nline "two"',
+      }, javascript);
+    });
+
+    check('Dates: strings, timestamps, UTC fields and invalid dates', () => {
+      return healsAlike("[new Date('2024-01-01T12:00:00Z'), new Date(0), new Date(2024, 0, 15, 10, 30), new Date('nope'), new Date()]", [
+        '2024-01-01T12:00:00.000Z', '1970-01-01T00:00:00.000Z', '2024-01-15T10:30:00.000Z', null, null,
+      ], javascript);
+    });
+
+    check('Dates: strings without a zone are UTC, whatever the host zone', () => {
+      return healsAlike("[new Date('2024-03-10T02:30'), new Date('January 2, 2024 10:00'), new Date('2024-01-01T10:00+01:00')]", [
+        '2024-03-10T02:30:00.000Z', '2024-01-02T10:00:00.000Z', '2024-01-01T09:00:00.000Z',
+      ], javascript);
+    });
+
+    check('Regexes with slashes in classes and escapes', () => {
+      return healsAlike('{a: /[/]\\//i, b: [/x/]}', { a: '/[/]\\//i', b: ['/x/'] }, javascript);
+    });
+
+    check('Spread leftovers, statements and comments', () => {
+      const input = 'export const config = {\n  // defaults first\n  ...defaults,\n  list: [...items, 1_000, 0b101, 10n],\n  /* key */ 1: \'one\',\n};';
+      return healsAlike(input, { 1: 'one', list: [1000, 5, 10] }, javascript);
+    });
+
+    check('Dropped spreads and undefined are reported as data-altering', () => {
+      const report = JsonHealer.healWithReport('{...a, b: undefined, c: `x`}', javascript);
+      const risks = new Set(report.repairs.map(repair => repair.risk));
+      return report.output === '{"b": null, "c": "x"}' && risks.has('data-altering') && risks.has('cosmetic') &&
+        report.repairs.every(repair => repair.strategy === 'convertJsLiterals');
+    });
+
+    check('Functions, arrows, methods and symbols are treated like undefined', () => {
+      const functions = '[async function named(a) { return a }, (a, b) => a * b, x => ({ y: 1 }), async () => { await x }, Symbol.iterator]';
+      return healsAlike('{ f: function() { return 1 }, g: () => 2, m() { return 3 }, s: Symbol("x") }', { f: null, g: null, m: null, s: null }, javascript) &&
+        healsAlike(functions, [null, null, null, null, null], javascript) &&
+        healsAlike('{ f: () => 1, m() {}, s: Symbol(), a: [() => 2], b: 1 }', { a: [null], b: 1 }, { ...javascript, omitUndefined: true });
+    });
+
+    check('BigInts keep their digits', () => {
+      return healsAlike('{ big: 10n, neg: -3n, huge: [123456789012345678901234567890n] }', {
+        big: 10, neg: -3, huge: [123456789012345678901234567890],
+      }, javascript);
+    });
+
+    check('Functions written as null or dropped are data-altering repairs', () => {
+      const input = '{a: 1, f: function () { return [1, 2] }, m() {}}';
+      const written = JsonHealer.healWithReport(input, javascript);
+      const dropped = JsonHealer.healWithReport(input, { ...javascript, omitUndefined: true });
+      const altering = (report) => report.repairs.filter(repair => repair.risk === 'data-altering')
+        .map(({ originalRange: [start, end] }) => input.slice(start, end));
+      return written.output === '{"a": 1, "f": null, "m": null}' && JSON.stringify(JSON.parse(dropped.output)) === '{"a":1}' &&
+        JSON.stringify(altering(written)) === JSON.stringify(['function () { return [1, 2] }', 'm() {}']) &&
+        JSON.stringify(altering(dropped)) === JSON.stringify(['f: function () { return [1, 2] }, m() {}']);
+    });
+  });
+}
+
+function testNdjson() {
+  const collect = async (readable) => {
+    const items = [];
+    for await (const item of readable) items.push(item);
+    return items;
+  };
+  const lines = '{"a": 1}\n{b: 2,}\r\n\nnot json {{{{\n{"c": True}\n{"d": "café"}\n{"e": 1';
+  // Bytes in 3-byte chunks, so lines and the two-byte é are split across chunks
+  const chunks = () => {
+    const bytes = Buffer.from(lines);
+    const result = [];
+    for (let i = 0; i < bytes.length; i += 3) result.push(bytes.subarray(i, i + 3));
+    return result;
+  };
+  const expected = '[{"a":1},{"b":2},{"c":true},{"d":"café"},{"e":1}]';
+  const nullLines = '[1]\nnull\nNone\n[2]\n';
+  // Pipes chunks through the Web adapter, collecting values and failures
+  const throughWeb = async (items) => {
+    const failures = [];
+    const readable = new webStreams.ReadableStream({
+      start(controller) {
+        items.forEach(item => controller.enqueue(item));
+        controller.close();
+      },
+    });
+    const stream = JsonHealer.ndjsonTransformStream({ onError: (failure) => failures.push(failure) });
+    return { values: await collect(readable.pipeThrough(stream)), failures };
+  };
+
+  return runAsyncChecks('NDJSON TESTS', (check) => {
+    check('Node transform heals each line and reports failures by line number', async () => {
+      const failures = [];
+      const events = [];
+      const transform = JsonHealer.ndjsonTransform({ onError: (failure) => failures.push(failure) });
+      transform.on('lineError', (failure) => events.push(failure.lineNumber));
+      const values = await collect(Readable.from(chunks()).pipe(transform));
+      return JSON.stringify(values) === expected && failures.length === 1 && failures[0].lineNumber === 4 &&
+        failures[0].input === 'not json {{{{' && failures[0].error instanceof HealError && events.join() === '4';
+    });
+
+    check('Node transform emits healed lines as text', async () => {
+      const text = (await collect(Readable.from(['{a: 1}\n[1, 2,', ']\nnull']).pipe(
+        JsonHealer.ndjsonTransform({ output: 'line' }),
+      ))).join('');
+      return text === '{"a": 1}\n[1, 2]\nnull\n';
+    });
+
+    check('Node transform applies healing options', async () => {
+      const values = await collect(Readable.from(['{"id": 1, "ok": tru\n{"id": 2 "ok": tru']).pipe(
+        JsonHealer.ndjsonTransform({ engine: 'parser' }),
+      ));
+      return JSON.stringify(values) === '[{"id":1,"ok":true},{"id":2,"ok":true}]';
+    });
+
+    check('Unknown healing options throw when the transform is created', async () => {
+      try {
+        JsonHealer.ndjsonTransform({ truncation: 'drop' });
+      } catch (e) {
+        return e instanceof TypeError && /^Unknown truncation/.test(e.message);
+      }
+      return false;
+    });
+
+    check('Node transform asks writers to wait while nobody reads', async () => {
+      const transform = JsonHealer.ndjsonTransform();
+      let written = 0;
+      while (written < 10000 && transform.write(`{id: ${written}}\n`)) written++;
+      transform.end();
+      const values = await collect(transform);
+      return written < 10000 && values.length === written + 1 && values[written].id === written;
+    });
+
+    check('An exception from onError errors the Node stream', async () => {
+      const transform = JsonHealer.ndjsonTransform({ onError: () => { throw new Error('stop'); } });
+      const error = await collect(Readable.from(['{"a": 1}\n{{{{\n']).pipe(transform)).catch(e => e);
+      return error instanceof Error && error.message === 'stop';
+    });
+
+    check('Node transform reports lines that heal to null in value mode', async () => {
+      const failures = [];
+      const events = [];
+      const transform = JsonHealer.ndjsonTransform({ onError: (failure) => failures.push(failure) });
+      transform.on('lineError', (failure) => events.push(failure.lineNumber));
+      const values = await collect(Readable.from([nullLines]).pipe(transform));
+      return JSON.stringify(values) === '[[1],[2]]' && events.join() === '2,3' &&
+        failures.map(f => `${f.lineNumber}:${f.input}`).join() === '2:null,3:None' &&
+        failures.every(f => f.error instanceof HealError);
+    });
+
+    if (webStreams) {
+      check('Web TransformStream heals each line', async () => {
+        const { values, failures } = await throughWeb(chunks().map(chunk => new Uint8Array(chunk)));
+        return JSON.stringify(values) === expected && failures.map(f => f.lineNumber).join() === '4';
+      });
+
+      check('Web TransformStream reports lines that heal to null like the Node transform', async () => {
+        const { values, failures } = await throughWeb([nullLines]);
+        return JSON.stringify(values) === '[[1],[2]]' &&
+          failures.map(f => `${f.lineNumber}:${f.input}`).join() === '2:null,3:None' &&
+          failures.every(f => f.error instanceof HealError);
+      });
+    } else {
+      check('Web TransformStream says Web Streams are missing', async () => {
+        try {
+          JsonHealer.ndjsonTransformStream();
+        } catch (e) {
+          return e instanceof TypeError && /^Web Streams are not available/.test(e.message);
+        }
+        return false;
+      });
+    }
+
+    check('Instances heal lines with their own pipeline', async () => {
+      const healer = new JsonHealer({ strategies: ['fixTrailingCommas'] });
+      const failures = [];
+      const values = await collect(Readable.from(['[1,]\n{a: 1}\n']).pipe(
+        healer.ndjsonTransform({ onError: (failure) => failures.push(failure.lineNumber) }),
+      ));
+      return JSON.stringify(values) === '[[1]]' && failures.join() === '2';
+    });
+
+    check('NdjsonHealer frames lines without a stream', async () => {
+      const framer = new NdjsonHealer(JsonHealer.defaultHealer);
+      const entries = [...framer.write('{"a":'), ...framer.write(' 1}\n\n[2'), ...framer.end()];
+      return entries.map(entry => `${entry.lineNumber}:${JSON.stringify(entry.value)}`).join() === '1:{"a":1},3:[2]';
+    });
+  });
+}
+
 // ==================== PERFORMANCE TESTS ====================
 
 function testPerformance() {
@@ -933,6 +2455,14 @@ function testPerformance() {
   console.log(`\n  Large input healing (100x): ${(endLarge - startLarge).toFixed(2)}ms`);
   console.log(`  Average: ${((endLarge - startLarge) / 100).toFixed(4)}ms per operation`);
 
+  const startParser = performance.now();
+  for (let i = 0; i < 100; i++) {
+    JsonHealer.heal(largeInput, { engine: 'parser' });
+  }
+  const endParser = performance.now();
+  console.log(`\n  Large input healing, parser engine (100x): ${(endParser - startParser).toFixed(2)}ms`);
+  console.log(`  Average: ${((endParser - startParser) / 100).toFixed(4)}ms per operation`);
+
   // Test 4: Already valid JSON (should be fast path)
   const validInput = JSON.stringify({ name: 'Test', value: 123, items: [1, 2, 3] });
   const startValid = performance.now();
@@ -946,15 +2476,39 @@ function testPerformance() {
 
 // ==================== MAIN ====================
 
-function main() {
+async function main() {
   const runner = new TestRunner();
   const mainTestsPassed = runner.run();
+  const parserTestsPassed = new TestRunner({ engine: 'parser' }).run();
   const customTestsPassed = testCustomStrategies();
+  const reportTestsPassed = testHealWithReport();
+  const instanceTestsPassed = testHealerInstances();
+  const throwTestsPassed = testParseOrThrow();
+  const tokenizerTestsPassed = testTokenizer();
+  const parserEngineTestsPassed = testParserEngine();
+  const largeInputTestsPassed = testLargeInputs();
+  const streamingTestsPassed = testStreaming();
+  const partialPathTestsPassed = testPartialPaths();
+  const truncationTestsPassed = testTruncationPolicy();
+  const truncatedTokenTestsPassed = testTruncatedTokens();
+  const invalidEscapeTestsPassed = testInvalidEscapes();
+  const extractAllTestsPassed = testExtractAll();
+  const candidateTestsPassed = testCandidateSelection();
+  const json5TestsPassed = testJson5Mode();
+  const pythonTestsPassed = testPythonMode();
+  const javaScriptTestsPassed = testJavaScriptMode();
+  const ndjsonTestsPassed = await testNdjson();
   testPerformance();
 
   console.log('\n');
 
-  if (mainTestsPassed && customTestsPassed) {
+  const allPassed = mainTestsPassed && parserTestsPassed && customTestsPassed && reportTestsPassed && instanceTestsPassed &&
+    throwTestsPassed && tokenizerTestsPassed && parserEngineTestsPassed && largeInputTestsPassed &&
+    streamingTestsPassed && partialPathTestsPassed && truncationTestsPassed &&
+    truncatedTokenTestsPassed && invalidEscapeTestsPassed && extractAllTestsPassed && candidateTestsPassed && json5TestsPassed &&
+    pythonTestsPassed && javaScriptTestsPassed && ndjsonTestsPassed;
+
+  if (allPassed) {
     console.log('════════════════════════════════════════════════════════════════');
     console.log('                    ✅ ALL TESTS PASSED                         ');
     console.log('════════════════════════════════════════════════════════════════');
@@ -0,0 +1,100 @@
+/**
+ * TextPatch - builds an edited copy of a string from ordered edits
+ * Unchanged text is kept as slices of the source between edits and joined once
+ * at the end, so applying any number of edits is linear in the source length.
+ * Without edits, toString() returns the source itself.
+ */
+export class TextPatch {
+  // Patches created inside collect(), or null outside it
+  static _collected = null;
+
+
+  /**
+   * @param {string} source
+   */
+  constructor(source) {
+    this.source = source;
+    this.chunks = [];
+    this.cursor = 0;
+    this.changed = false;
+    this.edits = [];      // { start, end, text }, in source order
+    TextPatch._collected?.push(this);
+  }
+
+  /**
+   * Call fn, collecting every TextPatch created while it runs
+   * @param {Function} fn
+   * @returns {{result: any, patches: TextPatch[]}}
+   */
+  static collect(fn) {
+    const outer = TextPatch._collected;
+    const patches = [];
+    TextPatch._collected = patches;
+    try {
+      return { result: fn(), patches };
+    } finally {
+      TextPatch._collected = outer;
+    }
+  }
+
+  /**
+   * Replace source[start, end) with text; edits must come in source order
+   * @param {number} start
+   * @param {number} end
+   * @param {string} text
+   */
+  replace(start, end, text) {
+    if (start < this.cursor) {
+      throw new RangeError(`Edit at ${start} overlaps the previous edit ending at ${this.cursor}`);
+    }
+    if (start > this.cursor) this.chunks.push(this.source.slice(this.cursor, start));
+    if (text) this.chunks.push(text);
+    this.edits.push({ start, end, text });
+    this.cursor = end;
+    this.changed = true;
+  }
+
+  /**
+   * @param {number} offset
+   * @param {string} text
+   */
+  insert(offset, text) {
+    this.replace(offset, offset, text);
+  }
+
+  /**
+   * @param {number} start
+   * @param {number} end
+   */
+  remove(start, end) {
+    this.replace(start, end, '');
+  }
+
+  /**
+   * The edits that changed something, as source map hunks with offsets into the source (start/end)
+   * and the result (outStart/outEnd)
+   * @returns {Array<{start: number, end: number, outStart: number, outEnd: number, replacement: string}>}
+   */
+  hunks() {
+    const hunks = [];
+    let delta = 0;
+    for (const { start, end, text } of this.edits) {
+      const outStart = start + delta;
+      delta += text.length - (end - start);
+      if (this.source.slice(start, end) !== text) {
+        hunks.push({ start, end, outStart, outEnd: outStart + text.length, replacement: text });
+      }
+    }
+    return hunks;
+  }
+
+  /**
+   * @returns {string}
+   */
+  toString() {
+    if (!this.changed) return this.source;
+    return this.chunks.join('') + this.source.slice(this.cursor);
+  }
+}
+
+export default TextPatch;
@@ -0,0 +1,753 @@
+/**
+ * Tokenizer - lenient JSON tokenizer shared by the healing strategies
+ * Never throws: every character of the input lands in exactly one token, so
+ * joining token values reproduces the input. Unterminated strings and block
+ * comments become tokens flagged `closed: false`.
+ *
+ * Token types:
+ *   string      - "..." or '...' (fields: quote, closed)
+ *   comment     - // line or block comment (fields: closed)
+ *   whitespace  - run of whitespace
+ *   punctuation - one of { } [ ] : ,
+ *   word        - anything else up to the next delimiter (literals, numbers, bare identifiers)
+ */
+export class Tokenizer {
+  static PUNCTUATION = '{}[]:,';
+
+  // Token type names, indexed by the type codes stored in a TokenList
+  static TYPES = ['string', 'comment', 'whitespace', 'punctuation', 'word'];
+
+  /**
+   * Split input into token objects
+   * Convenient for small inputs and custom strategies; large inputs are cheaper to walk with scan()
+   * @param {string} input
+   * @param {object} [options]
+   * @param {string} [options.quotes='"\''] - Characters that open strings
+   * @param {boolean} [options.comments=true] - Recognize // and block comments
+   * @param {(input: string, index: number, quote: string) => boolean} [options.breakString] -
+   *   Called for each unescaped character inside a string; return true to end the string
+   *   (unclosed) just before that character
+   * @returns {Array<{type: string, value: string, start: number, end: number, quote?: string, closed?: boolean}>}
+   */
+  static tokenize(input, options) {
+    const list = this.scan(input, options);
+    const tokens = new Array(list.length);
+    for (let i = 0; i < list.length; i++) {
+      tokens[i] = list.token(i);
+    }
+    return tokens;
+  }
+
+  /**
+   * Split input into a compact TokenList (typed arrays, no object per token)
+   * Inside shareScans(), scanning the same text with the same options again returns the same list,
+   * and text that only grew at the end is scanned from its last token on
+   * @param {string} input
+   * @param {object} [options] - Same as tokenize()
+   * @returns {TokenList}
+   */
+  static scan(input, { quotes = '"\'', comments = true, breakString = null } = {}) {
+    const cache = this._scanCache;
+    let cached = null;
+    if (cache) {
+      const lists = cache
+        .filter(entry => entry.quotes === quotes && entry.comments === comments && entry.breakString === breakString)
+        .map(entry => entry.list);
+      const same = lists.find(entry => entry.input === input);
+      if (same) return same;
+      cached = lists.find(entry => entry.length && input.length > entry.input.length && input.startsWith(entry.input));
+    }
+
+    // Text that was only appended to (closing quotes, brackets) keeps every token but the last,
+    // and a string just before trailing whitespace: whether its quote closes it depends on what follows
+    let list;
+    let i = 0;
+    if (cached) {
+      let reuse = cached.length - 1;
+      if (reuse > 0 && cached.isWhitespace(reuse) && cached.isString(reuse - 1)) reuse--;
+      list = cached.withInput(input, reuse);
+      i = cached.start(reuse);
+    } else {
+      list = new TokenList(input);
+    }
+
+    const length = input.length;
+    const wordRun = this._wordRun;
+    let backslash = 0; // Next backslash at or after the string being scanned (-1: none left)
+
+    while (i < length) {
+      const start = i;
+      const code = input.charCodeAt(i);
+
+      if ((code === 34 || code === 39) && this._opensString(input, i, quotes)) {
+        let closed = false;
+        // A single-quoted string ends at the first quote in closing position, so apostrophes stay inside
+        const closer = code === 39 ? this._singleQuoteCloser(input, i) : -1;
+        i++;
+        if (closer !== -1) {
+          closed = closer < length;
+          i = closed ? closer + 1 : length;
+          if (breakString) {
+            for (let j = start + 1; j < closer; j++) {
+              if (input.charCodeAt(j) === 92) {
+                j++;
+              } else if (breakString(input, j, input[start])) {
+                i = j;
+                closed = false;
+                break;
+              }
+            }
+          }
+        } else if (breakString) {
+          while (i < length) {
+            const c = input.charCodeAt(i);
+            if (c === 92) {
+              i += 2;
+              continue;
+            }
+            if (c === code) {
+              i++;
+              closed = true;
+              break;
+            }
+            if (breakString(input, i, input[start])) break;
+            i++;
+          }
+        } else {
+          // Jump between quotes and backslashes instead of visiting every character
+          for (;;) {
+            const quote = input.indexOf(input[start], i);
+            if (quote === -1) {
+              i = length;
+              break;
+            }
+            if (backslash !== -1 && backslash < i) backslash = input.indexOf('\\', i);
+            if (backslash !== -1 && backslash < quote) {
+              i = backslash + 2;
+              continue;
+            }
+            i = quote + 1;
+            closed = true;
+            break;
+          }
+        }
+        list.push(TokenList.STRING, start, closed, code === 39);
+        i = Math.min(i, length);
+      } else if (code === 47 && comments && this._opensComment(input, i)) {
+        let closed = true;
+        if (input[i + 1] === '/') {
+          const newline = input.indexOf('\n', i);
+          i = newline === -1 ? length : newline;
+        } else {
+          const close = input.indexOf('*/', i + 2);
+          closed = close !== -1;
+          i = closed ? close + 2 : length;
+        }
+        list.push(TokenList.COMMENT, start, closed);
+      } else if (this._isWhitespace(code)) {
+        i++;
+        while (i < length && this._isWhitespace(input.charCodeAt(i))) i++;
+        list.push(TokenList.WHITESPACE, start);
+      } else if (this._isPunctuation(code)) {
+        i++;
+        list.push(TokenList.PUNCTUATION, start);
+      } else {
+        // Runs of plain word characters in one regex step; quotes and slashes need a closer look
+        i++;
+        while (i < length) {
+          wordRun.lastIndex = i;
+          if (wordRun.test(input)) i = wordRun.lastIndex;
+          if (i >= length || this._isDelimiter(input, i, quotes, comments)) break;
+          i++;
+        }
+        list.push(TokenList.WORD, start);
+      }
+    }
+
+    if (cache) {
+      cache.unshift({ quotes, comments, breakString, list });
+      cache.length = Math.min(cache.length, this._scanCacheSize);
+    }
+    return list;
+  }
+
+  /**
+   * Run fn with scan() results shared between calls on identical text
+   * The strategy pipeline wraps each run in this, so strategies that leave the text
+   * unchanged do not make the next strategy scan it again
+   * @param {Function} fn
+   * @returns {*} - Whatever fn returns
+   */
+  static shareScans(fn) {
+    const previous = this._scanCache;
+    this._scanCache = previous || [];
+    try {
+      return fn();
+    } finally {
+      this._scanCache = previous;
+    }
+  }
+
+  /**
+   * Whether a token carries meaning (not whitespace or a comment)
+   * @param {object} token
+   * @returns {boolean}
+   */
+  static isSignificant(token) {
+    return token.type !== 'whitespace' && token.type !== 'comment';
+  }
+
+  /**
+   * Index of the next significant token after index, or -1
+   * @param {Array<object>} tokens
+   * @param {number} index
+   * @returns {number}
+   */
+  static nextSignificant(tokens, index) {
+    for (let i = index + 1; i < tokens.length; i++) {
+      if (this.isSignificant(tokens[i])) return i;
+    }
+    return -1;
+  }
+
+  /**
+   * Index of the previous significant token before index, or -1
+   * @param {Array<object>} tokens
+   * @param {number} index
+   * @returns {number}
+   */
+  static previousSignificant(tokens, index) {
+    for (let i = index - 1; i >= 0; i--) {
+      if (this.isSignificant(tokens[i])) return i;
+    }
+    return -1;
+  }
+
+  /**
+   * Whether a token is the given punctuation character
+   * @param {object} [token]
+   * @param {string} chars - One or more punctuation characters
+   * @returns {boolean}
+   */
+  static isPunctuation(token, chars) {
+    return !!token && token.type === 'punctuation' && chars.includes(token.value);
+  }
+
+  /**
+   * String content without the surrounding quotes
+   * @param {object} token - A string token
+   * @returns {string}
+   */
+  static stringContent(token) {
+    return token.value.slice(1, token.closed ? -1 : undefined);
+  }
+
+  /**
+   * Whether the character at index is whitespace (same set as the \s regex class)
+   * @param {string} input
+   * @param {number} index
+   * @returns {boolean}
+   */
+  static isWhitespaceAt(input, index) {
+    return this._isWhitespace(input.charCodeAt(index));
+  }
+
+  /**
+   * breakString hook: a `, "key":` run inside a string suggests the string should have ended at the comma
+   * @param {string} input
+   * @param {number} index
+   * @param {string} quote
+   * @returns {boolean}
+   */
+  static breakBeforeKey(input, index, quote) {
+    if (input[index] !== ',') return false;
+    const pattern = Tokenizer._keyBreakPatterns[quote];
+    if (!pattern) return false;
+    pattern.lastIndex = index;
+    return pattern.test(input);
+  }
+
+  /**
+   * Rewrite single-quoted string content for double quotes: \' no longer needs escaping, " now does
+   * @param {string} content
+   * @returns {string}
+   */
+  static requote(content) {
+    return content.replace(/\\([\s\S])|"/g, (match, escaped) => {
+      if (escaped === undefined) return '\\"';
+      return escaped === "'" ? "'" : match;
+    });
+  }
+
+  /**
+   * Escape raw control characters (below 0x20) in string content
+   * @param {string} content
+   * @returns {string}
+   */
+  static escapeControlCharacters(content) {
+    return content.replace(/[\u0000-\u001f]/g, (char) => {
+      return Tokenizer._controlEscapes[char] || `\\u${char.charCodeAt(0).toString(16).padStart(4, '0')}`;
+    });
+  }
+
+  /**
+   * Rewrite escapes JSON does not allow in double-quoted string content, and unpaired surrogates
+   * Escapes with a clear meaning in Python or JavaScript become that character: \' \a \v \x41
+   * \0 and other octal, \U0001F600, \u{1F600}. The rest (\q, a cut-off \u12, \U that is not
+   * eight hex digits, a surrogate without its other half) follow the policy: 'keep' writes the
+   * sequence as literal text (\q → \\q) and leaves surrogates alone, 'replace' writes U+FFFD,
+   * 'remove' drops it
+   * @param {string} content
+   * @param {'keep'|'replace'|'remove'} [policy='keep']
+   * @returns {string}
+   */
+  static fixInvalidEscapes(content, policy = 'keep') {
+    return content.replace(Tokenizer._escapePattern, (match, offset) => {
+      if (match[0] !== '\\') return Tokenizer._unrecoverable(match, policy, false);
+
+      const kind = match[1];
+      if (kind === undefined || '"\\/bfnrt'.includes(kind)) return match;
+      if (kind === 'u' && match.length === 6) {
+        const code = parseInt(match.slice(2), 16);
+        const paired = code >= 0xd800 && code <= 0xdbff
+          ? /^\\u[dD][c-fC-F]/.test(content.slice(offset + 6, offset + 10))
+          : /^\\u[dD][89abAB]/.test(content.slice(offset - 6, offset - 2));
+        return code < 0xd800 || code > 0xdfff || paired ? match : Tokenizer._unrecoverable(match, policy, false);
+      }
+
+      let code = null;
+      if (kind === "'") code = 0x27;
+      else if (kind === 'a') code = 0x07;
+      else if (kind === 'v') code = 0x0b;
+      else if (/^[0-7]+$/.test(match.slice(1))) code = parseInt(match.slice(1), 8);
+      else if (match.length === 4 && kind === 'x') code = parseInt(match.slice(2), 16);
+      else if (match.length === 10 && kind === 'U') code = parseInt(match.slice(2), 16);
+      else if (match[2] === '{' && match.endsWith('}')) code = parseInt(match.slice(3, -1), 16);
+
+      // Surrogates have no character of their own
+      if (code === null || code > 0x10ffff || (code >= 0xd800 && code <= 0xdfff)) {
+        return Tokenizer._unrecoverable(match, policy, true);
+      }
+      return JSON.stringify(String.fromCodePoint(code)).slice(1, -1);
+    });
+  }
+
+  /**
+   * Drop a dangling backslash that would escape an appended closing quote
+   * @param {string} value
+   * @returns {string}
+   */
+  static trimDanglingBackslash(value) {
+    const trailingBackslashes = value.length - value.replace(/\\+$/, '').length;
+    return trailingBackslashes % 2 ? value.slice(0, -1) : value;
+  }
+
+  /**
+   * Finish a word the end of the input cut off: the literal it starts (tru → true, Non → null),
+   * or the number without a dangling decimal point or exponent (12. → 12, 1e- → 1)
+   * @param {string} word
+   * @returns {string|null} - null when nothing is left (a lone sign); other words come back unchanged
+   */
+  static completeWord(word) {
+    const literal = this._literalPrefixes.find(([prefix]) => prefix.startsWith(word));
+    if (literal) return literal[1];
+    if (!/^[+-]?(\d|\.\d|$)/.test(word)) return word;
+
+    const trimmed = word.replace(/[eE][+-]?$/, '').replace(/\.$/, '');
+    return /\d/.test(trimmed) ? trimmed : null;
+  }
+
+  /**
+   * Last word of the bare value starting at word token i: the words up to a , } ] or the end of
+   * the input (`dark blue`). -1 when the run stops anywhere else (a colon, a string, an opener),
+   * when it is only literals and numbers (`[1 2]` is missing a comma, not quotes), or when it is
+   * a literal or number the end of the input cut off (`tru`, left to completeWord)
+   * @param {TokenList} tokens
+   * @param {number} i
+   * @returns {number}
+   */
+  static bareValueEnd(tokens, i) {
+    let last = i;
+    let next;
+    while ((next = tokens.nextSignificant(last)) !== -1 && tokens.isWord(next)) last = next;
+    if (next !== -1 && !tokens.isPunctuation(next, ',}]')) return -1;
+
+    const word = tokens.value(i);
+    if (last === i && next === -1 && this.completeWord(word) !== word) return -1;
+    for (let j = i; j <= last; j++) {
+      if (tokens.isWord(j) && !this._isScalarWord(tokens.value(j))) return last;
+    }
+    return -1;
+  }
+
+  /**
+   * Whether a word is a number by its grammar: JSON numbers plus a sign, a leading or trailing
+   * point, hex, octal and binary (`+1`, `.5`, `0x1F`). 1e400 is one, though it overflows a double
+   * @param {string} word
+   * @returns {boolean}
+   */
+  static isNumberWord(word) {
+    return this._numberPattern.test(word);
+  }
+
+  /**
+   * Whether closer token i, which does not match the innermost open container, stands for that
+   * container's closer (`{"a": [1, 2}, "b": 3}`). Otherwise it closes an outer container and the
+   * inner ones are missing their closers (`{"a": [{"b": 1], "c": 2}`). What follows the closer
+   * decides: it is swapped unless only the outer reading fits what comes next
+   * @param {TokenList} tokens
+   * @param {number} i
+   * @param {string[]} open - Opener characters of the open containers, innermost last
+   * @returns {boolean}
+   */
+  static substitutesCloser(tokens, i, open) {
+    const match = open.lastIndexOf(tokens.isPunctuation(i, '}') ? '{' : '[');
+    if (match === -1) return true;
+    const needed = this._containerAfter(tokens, i);
+    const fits = container => needed === null || needed === container;
+    return fits(open[open.length - 2]) || !fits(open[match - 1]);
+  }
+
+  // ==================== HELPER METHODS ====================
+
+  static _scanCache = null;
+
+  static _scanCacheSize = 3; // The pipeline's text, plus room for helpers scanning slices of it
+
+  // Literals a truncated word may be the start of, with their JSON value
+  static _literalPrefixes = [
+    ['true', 'true'], ['false', 'false'], ['null', 'null'],
+    ['True', 'true'], ['False', 'false'], ['None', 'null'],
+  ];
+
+  // Words that are values without quotes: JSON literals, and the ones fixPythonLiterals converts
+  static _scalarWords = new Set(['true', 'false', 'null', 'True', 'False', 'None', 'undefined', 'NaN', 'Infinity', '+Infinity', '-Infinity']);
+
+  static _numberPattern = /^[+-]?(?:0[xX][\da-fA-F]+|0[oO][0-7]+|0[bB][01]+|(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?)$/;
+
+  static _wordRun = /[^\s,:[\]{}"'\/]+/y;
+
+  static _keyBreakPatterns = { '"': /,\s*"[^"]+"\s*:/y, "'": /,\s*'[^']+'\s*:/y };
+
+  // A backslash with what it may escape, or a raw surrogate without its other half
+  static _escapePattern = /\\(?:u\{[\da-fA-F]+\}|u[\da-fA-F]{0,4}|U[\da-fA-F]{0,8}|x[\da-fA-F]{0,2}|[0-7]{1,3}|[\s\S])?|[\ud800-\udbff](?![\udc00-\udfff])|(?<![\ud800-\udbff])[\udc00-\udfff]/g;
+
+  static _controlEscapes = { '\b': '\\b', '\t': '\\t', '\n': '\\n', '\f': '\\f', '\r': '\\r' };
+
+  /**
+   * Literal or number (including forms JSON does not allow, such as 0x1F or .5)
+   * @private
+   */
+  static _isScalarWord(word) {
+    return this._scalarWords.has(word) || this.isNumberWord(word);
+  }
+
+  /**
+   * What fixInvalidEscapes writes for a sequence with no meaning; literal is whether 'keep' writes
+   * it as text (an escape JSON rejects) rather than as it is (a surrogate JSON accepts)
+   * @private
+   */
+  static _unrecoverable(match, policy, literal) {
+    if (policy === 'replace') return '\ufffd';
+    if (policy === 'remove') return '';
+    return literal ? '\\' + match : match;
+  }
+
+  /**
+   * The container what follows closer i has to be in: '{' for `, key:`, '[' for `, value`; null
+   * when anything fits (the end of the input, a trailing comma, another closer, which may be of
+   * the wrong type too)
+   * @private
+   */
+  static _containerAfter(tokens, i) {
+    const next = tokens.nextSignificant(i);
+    if (!tokens.isPunctuation(next, ',')) return null;
+
+    const element = tokens.nextSignificant(next);
+    if (element === -1 || tokens.isPunctuation(element, '}]')) return null;
+    const isKey = (tokens.isString(element) || tokens.isWord(element)) &&
+      tokens.isPunctuation(tokens.nextSignificant(element), ':');
+    return isKey ? '{' : '[';
+  }
+
+  /**
+   * A quote opens a string unless it is an apostrophe inside a word (don't, O'Brien)
+   * @private
+   */
+  static _opensString(input, i, quotes) {
+    const char = input[i];
+    if (!quotes.includes(char)) return false;
+    return char !== "'" || i === 0 || !/[\p{L}\p{N}]/u.test(input[i - 1]);
+  }
+
+  /**
+   * The quote that ends the single-quoted string opening at start: the first one on its line
+   * followed by `,` `:` `}` `]` `)`, a comment, the end of the input or the line, or (after
+   * whitespace) another string. The input length when the input ends first (the string was cut
+   * off); -1 when the line ends first, and the string ends at its next quote
+   * @private
+   */
+  static _singleQuoteCloser(input, start) {
+    for (let i = start + 1; i < input.length; i++) {
+      const char = input[i];
+      if (char === '\\') {
+        i++;
+      } else if (char === '\n' || char === '\r') {
+        return -1;
+      } else if (char === "'") {
+        let next = i + 1;
+        while (input[next] === ' ' || input[next] === '\t') next++;
+        const after = input[next];
+        if (after === undefined || ',:}])\n\r'.includes(after) || this._opensComment(input, next)) return i;
+        if ((after === '"' || after === "'") && next > i + 1) return i;
+      }
+    }
+    return input.length;
+  }
+
+  /**
+   * @private
+   */
+  static _opensComment(input, i) {
+    return input[i] === '/' && (input[i + 1] === '/' || input[i + 1] === '*');
+  }
+
+  /**
+   * Same set as the \s regex class, by char code (a regex test per character is too slow on large inputs)
+   * @private
+   */
+  static _isWhitespace(code) {
+    if (code <= 32) return code === 32 || (code >= 9 && code <= 13);
+    if (code < 160) return false;
+    return code === 160 || code === 0x1680 || (code >= 0x2000 && code <= 0x200a) || code === 0x2028 ||
+      code === 0x2029 || code === 0x202f || code === 0x205f || code === 0x3000 || code === 0xfeff;
+  }
+
+  /**
+   * , : [ ] { }
+   * @private
+   */
+  static _isPunctuation(code) {
+    return code === 44 || code === 58 || code === 91 || code === 93 || code === 123 || code === 125;
+  }
+
+  /**
+   * Whether a word ends before position i
+   * @private
+   */
+  static _isDelimiter(input, i, quotes, comments) {
+    const code = input.charCodeAt(i);
+    if (code === 34 || code === 39) return this._opensString(input, i, quotes);
+    if (code === 47) return comments && this._opensComment(input, i);
+    return this._isPunctuation(code) || this._isWhitespace(code);
+  }
+}
+
+/**
+ * TokenList - tokens of one input stored as parallel typed arrays
+ * Tokens are contiguous, so a token ends where the next one starts. Values are
+ * only sliced from the input when asked for.
+ */
+export class TokenList {
+  static STRING = 0;
+  static COMMENT = 1;
+  static WHITESPACE = 2;
+  static PUNCTUATION = 3;
+  static WORD = 4;
+
+  static _CLOSED = 1;
+  static _SINGLE_QUOTED = 2;
+
+  /**
+   * @param {string} input - The scanned text
+   */
+  constructor(input) {
+    this.input = input;
+    this.length = 0;
+    const capacity = Math.max(16, input.length >> 1);
+    this.types = new Uint8Array(capacity);
+    this.flags = new Uint8Array(capacity);
+    this.starts = new Uint32Array(capacity);
+  }
+
+  /**
+   * Append a token (used by Tokenizer.scan)
+   * @param {number} type - One of the TokenList type codes
+   * @param {number} start
+   * @param {boolean} [closed]
+   * @param {boolean} [singleQuoted]
+   */
+  push(type, start, closed = false, singleQuoted = false) {
+    if (this.length === this.types.length) this._grow();
+    this.types[this.length] = type;
+    this.flags[this.length] = (closed ? TokenList._CLOSED : 0) | (singleQuoted ? TokenList._SINGLE_QUOTED : 0);
+    this.starts[this.length] = start;
+    this.length++;
+  }
+
+  /**
+   * Type name: 'string', 'comment', 'whitespace', 'punctuation' or 'word'
+   * @param {number} i
+   * @returns {string}
+   */
+  type(i) {
+    return Tokenizer.TYPES[this.types[i]];
+  }
+
+  start(i) {
+    return this.starts[i];
+  }
+
+  end(i) {
+    return i + 1 < this.length ? this.starts[i + 1] : this.input.length;
+  }
+
+  value(i) {
+    return this.input.slice(this.starts[i], this.end(i));
+  }
+
+  /**
+   * String content without the surrounding quotes
+   * @param {number} i - A string token
+   * @returns {string}
+   */
+  content(i) {
+    return this.input.slice(this.starts[i] + 1, this.closed(i) ? this.end(i) - 1 : this.end(i));
+  }
+
+  /**
+   * Whether a string or comment token is terminated
+   */
+  closed(i) {
+    return (this.flags[i] & TokenList._CLOSED) !== 0;
+  }
+
+  /**
+   * Quote character of a string token
+   */
+  quote(i) {
+    return this.flags[i] & TokenList._SINGLE_QUOTED ? "'" : '"';
+  }
+
+  isString(i) {
+    return this.types[i] === TokenList.STRING;
+  }
+
+  isWord(i) {
+    return this.types[i] === TokenList.WORD;
+  }
+
+  isComment(i) {
+    return this.types[i] === TokenList.COMMENT;
+  }
+
+  isWhitespace(i) {
+    return this.types[i] === TokenList.WHITESPACE;
+  }
+
+  isSignificant(i) {
+    return this.types[i] !== TokenList.WHITESPACE && this.types[i] !== TokenList.COMMENT;
+  }
+
+  /**
+   * Whether token i is one of the given punctuation characters (false for i out of range)
+   * @param {number} i
+   * @param {string} chars
+   * @returns {boolean}
+   */
+  isPunctuation(i, chars) {
+    if (i < 0 || i >= this.length || this.types[i] !== TokenList.PUNCTUATION) return false;
+    // Compare char codes: this runs for every token in most strategies
+    const code = this.input.charCodeAt(this.starts[i]);
+    for (let k = 0; k < chars.length; k++) {
+      if (chars.charCodeAt(k) === code) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Index of the next significant token after i, or -1
+   */
+  nextSignificant(i) {
+    for (let j = i + 1; j < this.length; j++) {
+      if (this.isSignificant(j)) return j;
+    }
+    return -1;
+  }
+
+  /**
+   * Index of the previous significant token before i, or -1
+   */
+  previousSignificant(i) {
+    for (let j = i - 1; j >= 0; j--) {
+      if (this.isSignificant(j)) return j;
+    }
+    return -1;
+  }
+
+  /**
+   * Index of the token containing offset, or -1 when out of range
+   * @param {number} offset
+   * @returns {number}
+   */
+  indexAt(offset) {
+    if (offset < 0 || offset >= this.input.length) return -1;
+    let low = 0;
+    let high = this.length - 1;
+    while (low < high) {
+      const mid = (low + high + 1) >> 1;
+      if (this.starts[mid] <= offset) {
+        low = mid;
+      } else {
+        high = mid - 1;
+      }
+    }
+    return low;
+  }
+
+  /**
+   * Copy of the first count tokens for a longer input that starts with this one
+   * @param {string} input
+   * @param {number} count
+   * @returns {TokenList}
+   */
+  withInput(input, count) {
+    const list = new TokenList(input);
+    while (list.types.length < count) list._grow();
+    list.types.set(this.types.subarray(0, count));
+    list.flags.set(this.flags.subarray(0, count));
+    list.starts.set(this.starts.subarray(0, count));
+    list.length = count;
+    return list;
+  }
+
+  /**
+   * Token i as an object, in the shape returned by Tokenizer.tokenize()
+   * @param {number} i
+   * @returns {object}
+   */
+  token(i) {
+    const token = { type: this.type(i), value: this.value(i), start: this.start(i), end: this.end(i) };
+    if (this.types[i] === TokenList.STRING) {
+      token.quote = this.quote(i);
+      token.closed = this.closed(i);
+    } else if (this.types[i] === TokenList.COMMENT) {
+      token.closed = this.closed(i);
+    }
+    return token;
+  }
+
+  /**
+   * @private
+   */
+  _grow() {
+    const capacity = this.types.length * 2;
+    for (const field of ['types', 'flags', 'starts']) {
+      const grown = new this[field].constructor(capacity);
+      grown.set(this[field]);
+      this[field] = grown;
+    }
+  }
+}
+
+export default Tokenizer;